@@ -0,0 +1,104 @@
+/**
+ * Expected shape of each provider's output records, oldest version first.
+ * Add a new version when a provider's format changes on purpose; records are
+ * validated against the latest one.
+ *
+ * Field options:
+ *   type     - 'string' | 'number' | 'boolean' | 'array' | 'object'
+ *   required - the record is malformed (quarantined) without it or with the wrong type
+ *   identity - the record is malformed when it has the wrong type (the business key)
+ *   always   - the provider always emits it; absence is reported as schema drift
+ */
+const OUTPUT_SCHEMAS = {
+    // google-maps-scraper `-json` entries (gmaps/entry.go), fields are never omitted
+    scraper: [
+        {
+            version: 1,
+            fields: {
+                input_id: { type: 'string', always: true },
+                link: { type: 'string', always: true },
+                cid: { type: 'string', identity: true, always: true },
+                title: { type: 'string', required: true, always: true },
+                categories: { type: 'array', always: true },
+                category: { type: 'string', always: true },
+                address: { type: 'string', always: true },
+                open_hours: { type: 'object', always: true },
+                popular_times: { type: 'object', always: true },
+                web_site: { type: 'string', always: true },
+                phone: { type: 'string', always: true },
+                plus_code: { type: 'string', always: true },
+                review_count: { type: 'number', always: true },
+                review_rating: { type: 'number', always: true },
+                reviews_per_rating: { type: 'object', always: true },
+                latitude: { type: 'number', always: true },
+                longtitude: { type: 'number', always: true }, // Sic, upstream spelling
+                status: { type: 'string', always: true },
+                description: { type: 'string', always: true },
+                reviews_link: { type: 'string', always: true },
+                thumbnail: { type: 'string', always: true },
+                timezone: { type: 'string', always: true },
+                price_range: { type: 'string', always: true },
+                data_id: { type: 'string', always: true },
+                place_id: { type: 'string', identity: true, always: true },
+                images: { type: 'array', always: true },
+                reservations: { type: 'array', always: true },
+                order_online: { type: 'array', always: true },
+                menu: { type: 'object', always: true },
+                owner: { type: 'object', always: true },
+                complete_address: { type: 'object', always: true },
+                about: { type: 'array', always: true },
+                user_reviews: { type: 'array', always: true },
+                user_reviews_extended: { type: 'array', always: true },
+                emails: { type: 'array', always: true }
+            }
+        }
+    ],
+
+    // GooglePlacesService.transformPlace output (missing API fields are omitted)
+    google_places: [
+        {
+            version: 1,
+            fields: {
+                place_id: { type: 'string', required: true, identity: true, always: true },
+                input_id: { type: 'string' },
+                name: { type: 'string', always: true },
+                title: { type: 'string' },
+                address: { type: 'string' },
+                phone: { type: 'string' },
+                phone_international: { type: 'string' },
+                website: { type: 'string' },
+                latitude: { type: 'number' },
+                longitude: { type: 'number' },
+                category: { type: 'string', always: true },
+                types: { type: 'array' },
+                rating: { type: 'number' },
+                reviews: { type: 'number' },
+                reviews_count: { type: 'number' },
+                price_level: { type: 'string' },
+                business_status: { type: 'string' },
+                opening_hours: { type: 'object' },
+                open_state: { type: 'string', always: true },
+                main_photo_ref: { type: 'string' },
+                source: { type: 'string', always: true },
+                fetched_at: { type: 'string', always: true },
+                source_query: { type: 'string' }
+            }
+        }
+    ]
+};
+
+/**
+ * Schema for a provider (latest version unless one is given)
+ * @returns {Object|null}
+ */
+const getOutputSchema = (provider, version = null) => {
+    const versions = OUTPUT_SCHEMAS[provider];
+    if (!versions) return null;
+    if (version === null) return versions[versions.length - 1];
+    return versions.find(schema => schema.version === version) || null;
+};
+
+module.exports = {
+    OUTPUT_SCHEMAS,
+    getOutputSchema
+};
@@ -0,0 +1,39 @@
+// Approximate Google Places (New) Text Search prices in USD per 1,000 requests,
+// by the field tier requested (see docs/SCRAPING_README.md "Data Levels").
+// Nearby Search is billed at the same tiers.
+// Used for estimates only, the Google Cloud billing console is authoritative.
+const PLACES_PRICE_PER_1000 = {
+    basic: 17,
+    contact: 35,
+    atmosphere: 40
+};
+
+// Place Details (New) prices by the same field tiers
+const PLACES_DETAILS_PRICE_PER_1000 = {
+    basic: 5,
+    contact: 17,
+    atmosphere: 25
+};
+
+// Google returns at most 3 pages (~60 results) per Text Search query
+const PLACES_MAX_PAGES = 3;
+
+/**
+ * Estimated USD cost of a number of Places requests at a field tier
+ * @param {number} calls - Number of API requests
+ * @param {string} level - 'basic' | 'contact' | 'atmosphere'
+ * @param {string} operation - 'text_search' | 'nearby_search' | 'place_details'
+ * @returns {number}
+ */
+const estimatePlacesCost = (calls, level = 'contact', operation = 'text_search') => {
+    const prices = operation === 'place_details' ? PLACES_DETAILS_PRICE_PER_1000 : PLACES_PRICE_PER_1000;
+    const price = prices[level] || prices.contact;
+    return Math.round((calls * price / 1000) * 10000) / 10000;
+};
+
+module.exports = {
+    PLACES_PRICE_PER_1000,
+    PLACES_DETAILS_PRICE_PER_1000,
+    PLACES_MAX_PAGES,
+    estimatePlacesCost
+};
@@ -0,0 +1,22 @@
+const IORedis = require('ioredis');
+const logger = require('../utils/logger');
+
+/**
+ * Create a Redis connection for BullMQ / pub-sub
+ * Each consumer (queue, worker, subscriber) needs its own connection.
+ * @param {string} name - Label used in logs
+ * @returns {IORedis}
+ */
+const createRedisConnection = (name = 'default') => {
+    const connection = new IORedis(process.env.REDIS_URL || 'redis://localhost:6379', {
+        maxRetriesPerRequest: null // Required by BullMQ workers
+    });
+
+    connection.on('error', (err) => {
+        logger.error(`Redis (${name}) error: ${err.message}`);
+    });
+
+    return connection;
+};
+
+module.exports = createRedisConnection;
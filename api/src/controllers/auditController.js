@@ -1,5 +1,6 @@
 const Business = require('../models/Business');
 const auditService = require('../services/auditService');
+const storage = require('../services/storage');
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
@@ -31,21 +32,22 @@ exports.generateReport = async (req, res) => {
 
         logger.info(`Insights fetched for ${business.name}: ${JSON.stringify(insights)}`);
 
-        // 3. Generate PDF (Uploads to Cloudinary)
+        // 3. Generate PDF (Uploads to the configured storage)
         logger.info(`Generating PDF for ${business.name}...`);
-        const { publicUrl, publicId } = await auditService.generateAuditPDF(business, insights);
+        const { publicUrl, publicId, provider } = await auditService.generateAuditPDF(business, insights);
 
         // 4. Update Business Record
         business.audit_report = {
             generated_at: new Date(),
             insights: insights, // Store raw data (maybe prune huge JSON later of needed)
-            pdf_path: publicId, // Storing Cloudinary Public ID here
+            pdf_path: publicId, // Storage key
+            storage_provider: provider,
             status: 'completed',
             public_url: publicUrl
         };
         await business.save();
 
-        logger.info(`Audit report generated: ${publicUrl}`);
+        logger.info(`Audit report generated: ${publicId} (${provider})`);
 
         res.json({
             success: true,
@@ -78,12 +80,18 @@ exports.serveReport = async (req, res) => {
         const { id } = req.params;
         const business = await Business.findById(id);
 
-        if (!business || !business.audit_report || !business.audit_report.public_url) {
+        const report = business && business.audit_report;
+        if (!report || !(report.public_url || (report.storage_provider && report.pdf_path))) {
             return res.status(404).json({ success: false, message: 'Report not found' });
         }
 
-        // Redirect to Cloudinary URL
-        res.redirect(business.audit_report.public_url);
+        // Redirect to the stored file (signed, expiring link for local/S3)
+        const url = await storage.getDownloadUrl({
+            provider: report.storage_provider || 'cloudinary',
+            key: report.pdf_path,
+            url: report.public_url
+        });
+        res.redirect(url);
 
     } catch (error) {
         logger.error(`Failed to serve PDF: ${error.message}`);
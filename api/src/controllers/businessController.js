@@ -1,5 +1,7 @@
+const mongoose = require('mongoose');
 const Business = require('../models/Business');
 const logger = require('../utils/logger');
+const placeEnrichment = require('../services/placeEnrichment');
 
 // @desc    Get dashboard statistics
 // @route   GET /api/admin/businesses/stats
@@ -416,8 +418,53 @@ const updateBusiness = async (req, res) => {
     }
 };
 
+// @desc    Fetch Place Details for selected businesses
+// @route   POST /api/admin/businesses/enrich
+// @access  Private/Admin
+const enrichBusinesses = async (req, res) => {
+    try {
+        const { business_ids, fields_level, force } = req.body;
+
+        if (!Array.isArray(business_ids) || business_ids.length === 0) {
+            return res.status(400).json({ success: false, error: 'business_ids must be a non-empty array' });
+        }
+
+        const maxBusinesses = placeEnrichment.requestLimit();
+        if (business_ids.length > maxBusinesses) {
+            return res.status(400).json({ success: false, error: `At most ${maxBusinesses} businesses per request` });
+        }
+
+        if (business_ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            return res.status(400).json({ success: false, error: 'Invalid business id' });
+        }
+
+        const invalid = placeEnrichment.validateLevel(fields_level);
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+
+        // Same visibility as the leads list: own leads, plus unclaimed 'new' ones
+        const filter = { _id: { $in: business_ids } };
+        if (req.user.role && req.user.role.name !== 'Super Admin') {
+            filter.$or = [{ createdBy: req.user._id }, { status: 'new' }];
+        }
+
+        const summary = await placeEnrichment.enrich(filter, {
+            fieldsLevel: fields_level,
+            force: force === true,
+            userId: req.user._id
+        });
+
+        res.json({ success: true, enrichment: summary });
+    } catch (error) {
+        logger.error(`Failed to enrich businesses: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
 module.exports = {
     getDashboardStats,
     getBusinesses,
-    updateBusiness
+    updateBusiness,
+    enrichBusinesses
 };
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const storage = require('../services/storage');
+const logger = require('../utils/logger');
+
+// @desc    Download a locally stored file through a signed link
+// @route   GET /api/files/download?key=&expires=&signature=
+// @access  Public (the signature is the credential)
+const downloadFile = async (req, res) => {
+    try {
+        let filePath = null;
+        try {
+            filePath = storage.verifyLocalDownload(req.query);
+        } catch (error) {
+            filePath = null; // Key outside the storage root
+        }
+
+        if (!filePath) {
+            return res.status(403).json({
+                success: false,
+                error: 'Invalid or expired download link'
+            });
+        }
+
+        if (!fs.existsSync(filePath)) {
+            return res.status(404).json({
+                success: false,
+                error: 'File not found'
+            });
+        }
+
+        res.download(filePath, path.basename(filePath));
+
+    } catch (error) {
+        logger.error(`Failed to serve file: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    downloadFile
+};
@@ -1,16 +1,99 @@
 
 const { v4: uuidv4 } = require('uuid');
 const Job = require('../models/Job');
+const RejectedRecord = require('../models/RejectedRecord');
+const QuarantinedRecord = require('../models/QuarantinedRecord');
 const logger = require('../utils/logger');
 const queryValidator = require('../services/queryValidator');
 const jobQueue = require('../services/jobQueue');
+const jobEvents = require('../services/jobEvents');
+const jobLogs = require('../services/jobLogs');
+const scrapeEstimator = require('../services/scrapeEstimator');
+const processorService = require('../services/processor');
+const storage = require('../services/storage');
+const jobExporter = require('../services/jobExporter');
+const geoGrid = require('../services/geoGrid');
+const queryBuilder = require('../services/queryBuilder');
+const placeEnrichment = require('../services/placeEnrichment');
+const nearbySearch = require('../services/nearbySearch');
+const scraperOptions = require('../services/scraperOptions');
+
+// Statuses after which a job produces no more progress events
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'dead'];
+
+// Caps for GET /jobs/:id/logs
+const MAX_LOG_PAGE_SIZE = 1000;
+const MAX_LOG_TAIL = 5000;
+
+// Positive whole number from a query string value, null when it is not one
+const positiveInt = (value) => {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+// Only Super Admin may act on other users' jobs
+const canManageJob = (user, job) => {
+    if (user.role?.name === 'Super Admin') return true;
+    return !!job.createdBy && job.createdBy.toString() === user._id.toString();
+};
+
+// Priority within the queue's levels, only Super Admin may raise it above the default
+// (child jobs re-derive the priority they inherit for the requesting user)
+const requestPriority = (user, priority) => {
+    const level = jobQueue.clampPriority(priority);
+    return user.role?.name === 'Super Admin' ? level : Math.min(level, 0);
+};
 
 // @desc    Trigger a manual scrape
 // @route   POST /api/admin/scrape/start
 // @access  Private/Admin
 const startScrape = async (req, res) => {
     try {
-        const { queries, provider, fields_level, max_pages, max_results, force_scrape, ...otherConfig } = req.body;
+        const {
+            fields_level, max_pages, max_results, force_scrape, priority, geo_grid, query_builder, search_mode, nearby: nearbyInput,
+            strict_mode, fallback_to_scraper, enrich_details, skip_cache
+        } = req.body;
+        let { queries, provider } = req.body;
+
+        // Scraper flags (geo, lang, zoom, proxies...), only known and valid ones reach Job.config
+        let options;
+        try {
+            options = scraperOptions.normalize(req.body);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        // Nearby Search sweep: one Places search per included type, the types become the queries
+        let nearby = null;
+        try {
+            nearby = nearbySearch.fromRequest({ search_mode, nearby: nearbyInput, provider, queries, query_builder, geo_grid });
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        if (nearby) {
+            provider = 'google_places';
+            queries = nearbySearch.queries(nearby);
+        }
+
+        // Template expansion (category x location), added to any typed queries
+        let expanded = null;
+        if (query_builder) {
+            try {
+                expanded = await queryBuilder.build(query_builder, req.user);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            queries = [...(Array.isArray(queries) ? queries : []), ...expanded.queries.map(entry => entry.query)];
+        }
 
         if (!queries || !Array.isArray(queries) || queries.length === 0) {
             return res.status(400).json({
@@ -19,8 +102,27 @@ const startScrape = async (req, res) => {
             });
         }
 
+        let grid;
+        try {
+            grid = geoGrid.normalize(geo_grid);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        // Place Details pass after processing: true (job's fields tier) or a tier name
+        if (enrich_details !== undefined && typeof enrich_details !== 'boolean' && (!enrich_details || placeEnrichment.validateLevel(enrich_details))) {
+            return res.status(400).json({
+                success: false,
+                error: 'enrich_details must be true, false or a fields level (basic, contact, atmosphere)'
+            });
+        }
+
         let finalQueries = queries.map(q => q.trim().toLowerCase()).filter(q => q.length > 0);
         let skippedCount = 0;
+        let skippedHistory = [];
 
         // Deduplication Check
         if (!force_scrape) {
@@ -40,16 +142,24 @@ const startScrape = async (req, res) => {
                 });
             }
 
-            // 2. Check against HISTORY (Completed Logs)
-            const result = await queryValidator.checkDuplicates(finalQueries, provider);
+            // 2. Check against HISTORY (runs still inside the freshness window)
+            let categories;
+            if (expanded) {
+                categories = Object.fromEntries(expanded.queries.map(entry => [entry.query, entry.category]));
+            } else if (nearby) {
+                categories = nearbySearch.categories(nearby);
+            }
+            const result = await queryValidator.checkDuplicates(finalQueries, provider, { categories });
             finalQueries = result.uniqueQueries;
             skippedCount = result.skippedCount + activeConflicts.conflictCount;
+            skippedHistory = result.skipped;
 
             if (finalQueries.length === 0) {
                 return res.json({
                     success: false,
                     skipped: true,
-                    message: `All ${queries.length} queries check out as duplicates (Historical or Active). Use "Reprocess Duplicates" to bypass.`
+                    message: `All ${queries.length} queries check out as duplicates (Historical or Active). Use "Reprocess Duplicates" to bypass.`,
+                    skipped_history: skippedHistory
                 });
             }
         }
@@ -61,21 +171,29 @@ const startScrape = async (req, res) => {
             queries: finalQueries,
             triggered_by: 'admin', // Kept for backward compatibility, but createdBy is better
             createdBy: req.user._id, // Track ownership
+            priority: requestPriority(req.user, priority),
             config: {
-                ...otherConfig, // Capture concurrency, proxies, etc.
+                ...options, // Validated scraper flags (concurrency, proxies, etc.)
+                enrich_details: enrich_details || undefined,
+                skip_cache: skip_cache ? true : undefined,
                 max_results: parseInt(max_results) || parseInt(process.env.MAX_RESULTS) || 70,
                 max_pages: parseInt(max_pages),
                 provider: provider,
                 fields_level: fields_level,
                 force_scrape: force_scrape,
+                geo_grid: grid || undefined,
+                search_mode: nearby ? 'nearby' : undefined,
+                nearby: nearby || undefined,
 
                 depth: Math.ceil((parseInt(max_results || process.env.MAX_RESULTS) || 70) / 10),
                 email_extraction: false,
                 original_query_count: queries.length,
                 skipped_count: skippedCount,
-                strict_mode: otherConfig.strict_mode || false,
-                fallback_to_scraper: otherConfig.strict_mode ? false : (otherConfig.fallback_to_scraper !== undefined ? otherConfig.fallback_to_scraper : true)
-            }
+                strict_mode: strict_mode || false,
+                fallback_to_scraper: strict_mode ? false : (fallback_to_scraper !== undefined ? fallback_to_scraper : true),
+                query_template: expanded ? expanded.template : undefined
+            },
+            metadata: expanded ? queryBuilder.buildMetadata(expanded.queries, finalQueries) : undefined
         };
 
         // Jobs are automatically logged when created (no need for separate QueryLog)
@@ -93,6 +211,7 @@ const startScrape = async (req, res) => {
                 ? `Job queued with ${finalQueries.length} new queries (${skippedCount} duplicates skipped)`
                 : `Job queued with ${finalQueries.length} queries`,
             queries: finalQueries,
+            skipped_history: skippedHistory,
             queue_position: 'pending' // Simplified for now
         });
 
@@ -105,6 +224,62 @@ const startScrape = async (req, res) => {
     }
 };
 
+// @desc    Preflight estimate for a scrape (nothing is queued)
+// @route   POST /api/admin/scrape/estimate
+// @access  Private/Admin
+const estimateScrape = async (req, res) => {
+    try {
+        let nearby;
+        let expanded = null;
+        try {
+            geoGrid.normalize(req.body.geo_grid);
+            scraperOptions.normalize(req.body);
+            nearby = nearbySearch.fromRequest(req.body);
+            // Template expansion, as startScrape does
+            if (req.body.query_builder) {
+                expanded = await queryBuilder.build(req.body.query_builder, req.user);
+            }
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        let queries = nearby ? nearbySearch.queries(nearby) : req.body.queries;
+        if (expanded) {
+            queries = [...(Array.isArray(queries) ? queries : []), ...expanded.queries.map(entry => entry.query)];
+        }
+
+        if (!queries || !Array.isArray(queries) || queries.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Queries array is required and must not be empty'
+            });
+        }
+
+        const estimate = await scrapeEstimator.estimate({
+            ...req.body,
+            queries,
+            nearby,
+            categories: expanded ? Object.fromEntries(expanded.queries.map(entry => [entry.query, entry.category])) : null,
+            priority: requestPriority(req.user, req.body.priority)
+        });
+
+        res.json({
+            success: true,
+            estimate
+        });
+
+    } catch (error) {
+        logger.error(`Failed to estimate scrape: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
 // @desc    Get all jobs with filtering and pagination
 // @route   GET /api/admin/jobs
 // @access  Private/Admin
@@ -188,9 +363,27 @@ const getJobById = async (req, res) => {
             });
         }
 
+        if (!canManageJob(req.user, job)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Not authorized to view this job'
+            });
+        }
+
+        // Fresh link for the stored output (local/S3 links expire)
+        let outputUrl = null;
+        if (job.output_file && job.output_file.key) {
+            try {
+                outputUrl = await storage.getDownloadUrl(job.output_file);
+            } catch (error) {
+                logger.warn(`Failed to sign output link for job ${job.job_id}: ${error.message}`);
+            }
+        }
+
         res.json({
             success: true,
-            job: job
+            job: job,
+            output_url: outputUrl
         });
 
     } catch (error) {
@@ -202,8 +395,682 @@ const getJobById = async (req, res) => {
     }
 };
 
+// @desc    List records the filter rejected, linked to their raw documents
+// @route   GET /api/admin/jobs/:id/rejected
+// @access  Private/Admin
+const getRejectedRecords = async (req, res) => {
+    try {
+        const { page = 1, limit = 50, reason } = req.query;
+
+        const job = await Job.findOne({ job_id: req.params.id });
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        if (!canManageJob(req.user, job)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Not authorized to view this job'
+            });
+        }
+
+        const filter = { job_id: job.job_id };
+        if (reason) {
+            filter.reason = reason;
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const records = await RejectedRecord.find(filter)
+            .sort({ createdAt: 1 })
+            .limit(parseInt(limit))
+            .skip(skip)
+            .populate('raw_id');
+
+        const total = await RejectedRecord.countDocuments(filter);
+
+        res.json({
+            success: true,
+            count: records.length,
+            total,
+            page: parseInt(page),
+            totalPages: Math.ceil(total / parseInt(limit)),
+            filtration_stats: job.filtration_stats,
+            records
+        });
+
+    } catch (error) {
+        logger.error(`Failed to fetch rejected records: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    List records that failed output schema validation, with the schema drift report
+// @route   GET /api/admin/jobs/:id/quarantined
+// @access  Private/Admin
+const getQuarantinedRecords = async (req, res) => {
+    try {
+        const { page = 1, limit = 50, provider } = req.query;
+
+        const job = await Job.findOne({ job_id: req.params.id });
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        if (!canManageJob(req.user, job)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Not authorized to view this job'
+            });
+        }
+
+        const filter = { job_id: job.job_id };
+        if (provider) {
+            filter.provider = provider;
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const records = await QuarantinedRecord.find(filter)
+            .sort({ createdAt: 1 })
+            .limit(parseInt(limit))
+            .skip(skip);
+
+        const total = await QuarantinedRecord.countDocuments(filter);
+
+        res.json({
+            success: true,
+            count: records.length,
+            total,
+            page: parseInt(page),
+            totalPages: Math.ceil(total / parseInt(limit)),
+            schema_reports: job.schema_reports,
+            records
+        });
+
+    } catch (error) {
+        logger.error(`Failed to fetch quarantined records: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get a job's container output (paged, or the last `tail` lines)
+// @route   GET /api/admin/jobs/:id/logs
+// @access  Private/Admin
+const getJobLogs = async (req, res) => {
+    try {
+        const { level, stream } = req.query;
+        const page = positiveInt(req.query.page ?? 1);
+        const limit = positiveInt(req.query.limit ?? 200);
+        const tail = req.query.tail !== undefined ? positiveInt(req.query.tail) : undefined;
+
+        if (!page || !limit || tail === null) {
+            return res.status(400).json({
+                success: false,
+                error: 'page, limit and tail must be positive whole numbers'
+            });
+        }
+
+        if ((stream !== undefined && !['stdout', 'stderr'].includes(stream)) || (level !== undefined && typeof level !== 'string')) {
+            return res.status(400).json({
+                success: false,
+                error: "stream must be 'stdout' or 'stderr', level a comma-separated list"
+            });
+        }
+
+        const job = await Job.findOne({ job_id: req.params.id });
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        if (!canManageJob(req.user, job)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Not authorized to view this job'
+            });
+        }
+
+        // level=warn,error
+        const levels = level ? level.split(',').map(l => l.trim()).filter(Boolean) : [];
+
+        const pageSize = Math.min(limit, MAX_LOG_PAGE_SIZE);
+        const { lines, total } = await jobLogs.getLogs(job.job_id, {
+            tail: tail ? Math.min(tail, MAX_LOG_TAIL) : null,
+            page,
+            limit: pageSize,
+            levels,
+            stream
+        });
+
+        res.json({
+            success: true,
+            count: lines.length,
+            total,
+            page: tail ? null : page,
+            totalPages: tail ? null : Math.ceil(total / pageSize),
+            log_stats: job.log_stats,
+            lines
+        });
+
+    } catch (error) {
+        logger.error(`Failed to fetch job logs: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Export a job's raw records (json, ndjson, csv, xlsx)
+// @route   GET /api/admin/jobs/:id/export?format=&columns=raw|normalized
+// @access  Private/Admin
+const exportJob = async (req, res) => {
+    try {
+        const { format = 'json', columns = 'normalized' } = req.query;
+
+        if (!jobExporter.isSupportedFormat(format)) {
+            return res.status(400).json({
+                success: false,
+                error: 'format must be one of json, ndjson, csv, xlsx'
+            });
+        }
+
+        if (!['raw', 'normalized'].includes(columns)) {
+            return res.status(400).json({
+                success: false,
+                error: 'columns must be raw or normalized'
+            });
+        }
+
+        const job = await Job.findOne({ job_id: req.params.id });
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        if (!canManageJob(req.user, job)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Not authorized to export this job'
+            });
+        }
+
+        // Reprocess jobs have no raw data of their own
+        await jobExporter.stream(job.reprocess_of || job.job_id, { format, columns }, res);
+
+    } catch (error) {
+        logger.error(`Failed to export job: ${error.message}`);
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Cancel a pending or running job
+// @route   POST /api/admin/jobs/:id/cancel
+// @access  Private/Admin
+const cancelJob = async (req, res) => {
+    try {
+        const job = await Job.findOne({ job_id: req.params.id });
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        if (!canManageJob(req.user, job)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Not authorized to cancel this job'
+            });
+        }
+
+        if (!['pending', 'retrying', 'running'].includes(job.status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Job is already ${job.status}`
+            });
+        }
+
+        const cancelled = await jobQueue.cancelJob(job, req.user._id);
+
+        if (!cancelled) {
+            return res.status(409).json({
+                success: false,
+                error: 'Job finished before it could be cancelled'
+            });
+        }
+
+        logger.info(`User ${req.user.username} cancelled job ${job.job_id} (was ${job.status})`);
+
+        res.json({
+            success: true,
+            message: job.status === 'running' ? 'Running job cancelled' : 'Pending job removed from queue',
+            job: cancelled
+        });
+
+    } catch (error) {
+        logger.error(`Failed to cancel job: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Retry a finished job as a new linked job
+// @route   POST /api/admin/jobs/:id/retry
+// @access  Private/Admin
+const retryJob = async (req, res) => {
+    try {
+        const { failed_only } = req.body || {};
+
+        const job = await Job.findOne({ job_id: req.params.id });
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        if (!canManageJob(req.user, job)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Not authorized to retry this job'
+            });
+        }
+
+        if (['pending', 'retrying', 'running'].includes(job.status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Job is still ${job.status}`
+            });
+        }
+
+        let retryQueries = [...job.queries];
+
+        // Only queries that came back empty, errored or were never reached.
+        // Outcomes are recorded when a job completes; a failed or cancelled run
+        // stored none of its results, so every query has to run again.
+        if (failed_only) {
+            if (!job.query_outcomes || job.query_outcomes.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Job has no per-query outcomes (only completed runs record them), retry it without failed_only'
+                });
+            }
+            retryQueries = job.query_outcomes
+                .filter(o => o.status !== 'success')
+                .map(o => o.query);
+        }
+
+        if (retryQueries.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No failed queries to retry'
+            });
+        }
+
+        // Don't double-run queries that are already queued or scheduled
+        const activeConflicts = await queryValidator.checkActiveConflicts(retryQueries);
+        if (activeConflicts.uniqueQueries.length === 0) {
+            return res.json({
+                success: false,
+                skipped: true,
+                message: 'All queries are currently running or scheduled. Please wait for them to finish.'
+            });
+        }
+        retryQueries = activeConflicts.uniqueQueries;
+
+        const jobId = uuidv4();
+        const jobData = {
+            job_id: jobId,
+            queries: retryQueries,
+            triggered_by: 'admin',
+            createdBy: req.user._id,
+            config: {
+                ...(job.config || {}),
+                original_query_count: retryQueries.length,
+                skipped_count: activeConflicts.conflictCount,
+                failed_only: !!failed_only
+            },
+            metadata: job.metadata,
+            priority: requestPriority(req.user, job.priority),
+            type: job.type,
+            reprocess_of: job.reprocess_of,
+            enrich_of: job.enrich_of,
+            retry_of: job.job_id,
+            retry_count: (job.retry_count || 0) + 1
+        };
+
+        logger.info(`User ${req.user.username} retrying job ${job.job_id} as ${jobId}`, { queries: retryQueries });
+
+        await jobQueue.addJob(jobData);
+
+        res.json({
+            success: true,
+            job_id: jobId,
+            retry_of: job.job_id,
+            retry_count: jobData.retry_count,
+            status: 'pending',
+            message: activeConflicts.conflictCount > 0
+                ? `Retry queued with ${retryQueries.length} queries (${activeConflicts.conflictCount} already active skipped)`
+                : `Retry queued with ${retryQueries.length} queries`,
+            queries: retryQueries
+        });
+
+    } catch (error) {
+        logger.error(`Failed to retry job: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Replay a job's stored raw data through the deduplicator as a child job
+// @route   POST /api/admin/jobs/:id/reprocess
+// @access  Private/Admin
+const reprocessJob = async (req, res) => {
+    try {
+        const job = await Job.findOne({ job_id: req.params.id });
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        if (!canManageJob(req.user, job)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Not authorized to reprocess this job'
+            });
+        }
+
+        if (['pending', 'retrying', 'running'].includes(job.status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Job is still ${job.status}`
+            });
+        }
+
+        // Reprocessing a reprocess job replays the same original raw data
+        const sourceJobId = job.type === 'reprocess' ? job.reprocess_of : job.job_id;
+
+        const rawCount = await processorService.countRaw(sourceJobId);
+        if (rawCount === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Job has no stored raw data to reprocess'
+            });
+        }
+
+        const jobId = uuidv4();
+        const jobData = {
+            job_id: jobId,
+            type: 'reprocess',
+            reprocess_of: sourceJobId,
+            queries: job.queries,
+            triggered_by: 'admin',
+            createdBy: req.user._id,
+            config: {
+                provider: job.config && job.config.provider,
+                raw_records: rawCount
+            },
+            metadata: job.metadata,
+            priority: requestPriority(req.user, job.priority)
+        };
+
+        logger.info(`User ${req.user.username} reprocessing job ${sourceJobId} as ${jobId} (${rawCount} raw records)`);
+
+        await jobQueue.addJob(jobData);
+
+        res.json({
+            success: true,
+            job_id: jobId,
+            reprocess_of: sourceJobId,
+            raw_records: rawCount,
+            status: 'pending',
+            message: `Reprocess queued for ${rawCount} raw records`
+        });
+
+    } catch (error) {
+        logger.error(`Failed to reprocess job: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Stream live job progress (Server-Sent Events)
+// @route   GET /api/admin/jobs/:id/events
+// @access  Private/Admin
+const streamJobEvents = async (req, res) => {
+    try {
+        const job = await Job.findOne({ job_id: req.params.id });
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        if (!canManageJob(req.user, job)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Not authorized to view this job'
+            });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable nginx buffering
+        });
+        res.flushHeaders();
+
+        const send = (event) => {
+            res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        };
+
+        let heartbeat = null;
+        let closed = false;
+        const cleanup = () => {
+            closed = true;
+            clearInterval(heartbeat);
+            unsubscribe();
+        };
+
+        const deliver = (event) => {
+            send(event);
+            if (event.type === 'phase' && jobEvents.isTerminalPhase(event.phase)) {
+                cleanup();
+                res.end();
+            }
+        };
+
+        // Subscribe before reading the snapshot, so an event published in
+        // between (e.g. the job finishing) is held back instead of missed
+        let held = [];
+        const unsubscribe = jobEvents.subscribe(job.job_id, (event) => {
+            if (held) held.push(event);
+            else deliver(event);
+        });
+        req.on('close', cleanup);
+
+        let current;
+        try {
+            current = await Job.findOne({ job_id: job.job_id }) || job;
+        } catch (error) {
+            cleanup();
+            throw error;
+        }
+        if (closed) return;
+
+        // Start from the saved snapshot so a reload can resume
+        send({
+            type: 'snapshot',
+            job_id: current.job_id,
+            status: current.status,
+            progress: current.progress || null
+        });
+
+        if (FINISHED_STATUSES.includes(current.status)) {
+            cleanup();
+            return res.end();
+        }
+
+        heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+
+        const pending = held;
+        held = null;
+        for (const event of pending) {
+            if (closed) break;
+            deliver(event);
+        }
+
+    } catch (error) {
+        logger.error(`Failed to stream job events: ${error.message}`);
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// @desc    Fetch Place Details for the businesses a job found, as a child job
+// @route   POST /api/admin/jobs/:id/enrich
+// @access  Private/Admin
+const enrichJob = async (req, res) => {
+    try {
+        const { fields_level, force, limit } = req.body;
+
+        const invalid = placeEnrichment.validateLevel(fields_level);
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                error: invalid
+            });
+        }
+
+        const job = await Job.findOne({ job_id: req.params.id });
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        if (!canManageJob(req.user, job)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Not authorized to enrich this job'
+            });
+        }
+
+        if (job.status !== 'completed') {
+            return res.status(400).json({
+                success: false,
+                error: `Job is ${job.status}, only completed jobs can be enriched`
+            });
+        }
+
+        if (job.type === 'enrich') {
+            return res.status(400).json({
+                success: false,
+                error: `Job is an enrichment pass, enrich job ${job.enrich_of} instead`
+            });
+        }
+
+        // Runs on the queue, bound by the daily limit (and `limit` when given)
+        const jobId = uuidv4();
+        const jobData = {
+            job_id: jobId,
+            type: 'enrich',
+            enrich_of: job.job_id,
+            queries: job.queries,
+            triggered_by: 'admin',
+            createdBy: req.user._id,
+            config: {
+                provider: 'google_places',
+                fields_level: fields_level || undefined,
+                force: force === true,
+                limit: parseInt(limit) > 0 ? parseInt(limit) : undefined
+            },
+            metadata: job.metadata,
+            priority: requestPriority(req.user, job.priority)
+        };
+
+        logger.info(`User ${req.user.username} enriching job ${job.job_id} as ${jobId}`);
+
+        await jobQueue.addJob(jobData);
+
+        res.json({
+            success: true,
+            job_id: jobId,
+            enrich_of: job.job_id,
+            status: 'pending',
+            message: 'Enrichment queued'
+        });
+
+    } catch (error) {
+        logger.error(`Failed to enrich job: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
 module.exports = {
     startScrape,
+    estimateScrape,
     getJobs,
-    getJobById
+    getJobById,
+    getRejectedRecords,
+    getQuarantinedRecords,
+    getJobLogs,
+    exportJob,
+    cancelJob,
+    retryJob,
+    reprocessJob,
+    enrichJob,
+    streamJobEvents
 };
@@ -38,7 +38,7 @@ const getLogs = async (req, res) => {
             // Search in job_id or queries
             filter.$or = [
                 { job_id: { $regex: search, $options: 'i' } },
-                { 'config.query': { $regex: search, $options: 'i' } }
+                { queries: { $elemMatch: { $regex: search, $options: 'i' } } }
             ];
         }
 
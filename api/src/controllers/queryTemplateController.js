@@ -0,0 +1,184 @@
+const CategoryList = require('../models/CategoryList');
+const LocationList = require('../models/LocationList');
+const QueryTemplate = require('../models/QueryTemplate');
+const logger = require('../utils/logger');
+const queryBuilder = require('../services/queryBuilder');
+const queryValidator = require('../services/queryValidator');
+
+/**
+ * Body checks per saved type, return an error message or null
+ */
+const validateCategoryList = ({ categories }) => {
+    if (!Array.isArray(categories) || categories.length === 0) return 'categories must be a non-empty array';
+    if (categories.some(c => typeof c !== 'string' || !c.trim())) return 'categories must be non-empty strings';
+    return null;
+};
+
+const validateLocationList = ({ locations }) => {
+    if (!Array.isArray(locations) || locations.length === 0) return 'locations must be a non-empty array';
+    if (locations.some(l => !l || typeof l !== 'object' || !queryBuilder.locationLabel(l))) {
+        return 'Each location needs at least one of neighbourhood, city, state, zip, country';
+    }
+    return null;
+};
+
+const validateQueryTemplate = ({ template }) => {
+    try {
+        queryBuilder.parseTemplate(template);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+};
+
+/**
+ * List/create/update/delete handlers for a saved type (owner or Super Admin)
+ * @param {Object} Model - Mongoose model
+ * @param {string} label - Name used in messages
+ * @param {Array<string>} fields - Body fields that are stored
+ * @param {Function} validate - Returns an error message for an invalid body
+ */
+const buildHandlers = (Model, label, fields, validate) => {
+    const pick = body => Object.fromEntries(fields.filter(f => body[f] !== undefined).map(f => [f, body[f]]));
+
+    const findOwned = async (req, res) => {
+        const doc = await Model.findById(req.params.id).catch(() => null);
+        if (!doc || !queryBuilder.canUse(req.user, doc)) {
+            res.status(404).json({ success: false, error: `${label} not found` });
+            return null;
+        }
+        return doc;
+    };
+
+    return {
+        list: async (req, res) => {
+            try {
+                const filter = req.user.role?.name === 'Super Admin' ? {} : { createdBy: req.user._id };
+                const items = await Model.find(filter).sort({ name: 1 });
+                res.json({ success: true, count: items.length, items });
+            } catch (error) {
+                logger.error(`Failed to fetch ${label}s: ${error.message}`);
+                res.status(500).json({ success: false, error: error.message });
+            }
+        },
+
+        create: async (req, res) => {
+            try {
+                const data = pick(req.body);
+                if (!data.name) {
+                    return res.status(400).json({ success: false, error: 'Name is required' });
+                }
+                const invalid = validate(data);
+                if (invalid) {
+                    return res.status(400).json({ success: false, error: invalid });
+                }
+
+                const item = await Model.create({ ...data, createdBy: req.user._id });
+                res.status(201).json({ success: true, item });
+            } catch (error) {
+                logger.error(`Failed to create ${label}: ${error.message}`);
+                res.status(500).json({ success: false, error: error.message });
+            }
+        },
+
+        update: async (req, res) => {
+            try {
+                const doc = await findOwned(req, res);
+                if (!doc) return;
+
+                doc.set(pick(req.body));
+                const invalid = validate(doc.toObject());
+                if (invalid) {
+                    return res.status(400).json({ success: false, error: invalid });
+                }
+
+                await doc.save();
+                res.json({ success: true, item: doc });
+            } catch (error) {
+                logger.error(`Failed to update ${label}: ${error.message}`);
+                res.status(500).json({ success: false, error: error.message });
+            }
+        },
+
+        remove: async (req, res) => {
+            try {
+                const doc = await findOwned(req, res);
+                if (!doc) return;
+
+                await doc.deleteOne();
+                res.json({ success: true, message: `${label} deleted` });
+            } catch (error) {
+                logger.error(`Failed to delete ${label}: ${error.message}`);
+                res.status(500).json({ success: false, error: error.message });
+            }
+        }
+    };
+};
+
+// @desc    CRUD for saved category lists
+// @route   /api/admin/query-templates/categories
+// @access  Private/Admin
+const categoryLists = buildHandlers(CategoryList, 'Category list', ['name', 'categories'], validateCategoryList);
+
+// @desc    CRUD for saved location lists
+// @route   /api/admin/query-templates/locations
+// @access  Private/Admin
+const locationLists = buildHandlers(LocationList, 'Location list', ['name', 'locations'], validateLocationList);
+
+// @desc    CRUD for saved query templates
+// @route   /api/admin/query-templates
+// @access  Private/Admin
+const queryTemplates = buildHandlers(QueryTemplate, 'Query template', ['name', 'template', 'category_list', 'location_list'], validateQueryTemplate);
+
+// @desc    Expand a template without queuing, with the same dedup checks as startScrape
+// @route   POST /api/admin/query-templates/preview
+// @access  Private/Admin
+const previewQueries = async (req, res) => {
+    try {
+        let expanded;
+        try {
+            expanded = await queryBuilder.build(req.body, req.user);
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
+        const queries = expanded.queries.map(entry => entry.query);
+        let wouldRun = queries;
+        let activeConflicts = [];
+        let historicalDuplicates = [];
+
+        if (!req.body.force_scrape && queries.length > 0) {
+            const active = await queryValidator.checkActiveConflicts(queries);
+            activeConflicts = active.conflicts;
+            wouldRun = active.uniqueQueries;
+
+            if (wouldRun.length > 0) {
+                const history = await queryValidator.checkDuplicates(wouldRun, req.body.provider, {
+                    categories: Object.fromEntries(expanded.queries.map(entry => [entry.query, entry.category]))
+                });
+                historicalDuplicates = history.skipped;
+                wouldRun = history.uniqueQueries;
+            }
+        }
+
+        res.json({
+            success: true,
+            template: expanded.template,
+            queries: expanded.queries,
+            skipped_incomplete: expanded.skipped, // Pairs missing a value the template needs
+            would_run: wouldRun,
+            skipped_active: activeConflicts,
+            skipped_history: historicalDuplicates
+        });
+    } catch (error) {
+        logger.error(`Failed to preview queries: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+module.exports = {
+    categoryLists,
+    locationLists,
+    queryTemplates,
+    previewQueries
+};
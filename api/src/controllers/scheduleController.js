@@ -2,6 +2,35 @@ const Schedule = require('../models/Schedule');
 const schedulerService = require('../services/scheduler');
 const logger = require('../utils/logger');
 const queryValidator = require('../services/queryValidator');
+const geoGrid = require('../services/geoGrid');
+const nearbySearch = require('../services/nearbySearch');
+const scraperOptions = require('../services/scraperOptions');
+
+/**
+ * Validate a schedule config the way startScrape validates its body (mutates config):
+ * scraper flags, then Nearby Search (its types become the queries), then the geo grid
+ * @returns {Array} - Queries to schedule
+ * @throws {Error} - Message suitable for a 400 response
+ */
+const normalizeConfig = (config, queries) => {
+    if (config) {
+        // Scraper flags become container arguments
+        Object.assign(config, scraperOptions.normalize(config));
+    }
+
+    const nearby = nearbySearch.fromRequest({ ...config, queries });
+    if (nearby) {
+        config.nearby = nearby;
+        queries = nearbySearch.queries(nearby);
+    }
+
+    // Jobs get the normalized grid
+    if (config?.geo_grid) {
+        config.geo_grid = geoGrid.normalize(config.geo_grid);
+    }
+
+    return queries;
+};
 
 // @desc    List all schedules
 // @route   GET /api/schedules
@@ -27,7 +56,14 @@ const getSchedules = async (req, res) => {
 // @access  Private/Admin
 const createSchedule = async (req, res) => {
     try {
-        const { name, queries, config, is_active, scheduled_time, metadata } = req.body;
+        const { name, config, is_active, scheduled_time, metadata } = req.body;
+        let { queries } = req.body;
+
+        try {
+            queries = normalizeConfig(config, queries);
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
 
         if (!queries || !Array.isArray(queries) || queries.length === 0) {
             return res.status(400).json({ success: false, error: 'Queries required' });
@@ -94,7 +130,8 @@ const createSchedule = async (req, res) => {
 // @access  Private/Admin
 const updateSchedule = async (req, res) => {
     try {
-        const { name, queries, config, is_active, scheduled_time, metadata } = req.body;
+        const { name, config, is_active, scheduled_time, metadata } = req.body;
+        let { queries } = req.body;
 
         // Verify Ownership
         const existingSchedule = await Schedule.findById(req.params.id);
@@ -106,6 +143,12 @@ const updateSchedule = async (req, res) => {
             return res.status(403).json({ success: false, error: 'Not authorized to update this schedule' });
         }
 
+        try {
+            queries = normalizeConfig(config, queries);
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
         let finalQueries = queries;
         if (queries && Array.isArray(queries) && queries.length > 0) {
             const provider = config?.provider || 'google_places';
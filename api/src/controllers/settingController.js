@@ -1,5 +1,9 @@
 const Settings = require('../models/Settings');
 const logger = require('../utils/logger');
+const jobQueue = require('../services/jobQueue');
+const apiKeyPool = require('../services/apiKeyPool');
+const storage = require('../services/storage');
+const { stripMaskFields, encryptSecret, isEncrypted } = require('../utils/secrets');
 
 // @desc    Get global settings
 // @route   GET /api/settings
@@ -15,15 +19,8 @@ const getSettings = async (req, res) => {
         // Convert to object to modify avoiding DB save
         const settingsObj = settings.toObject();
 
-        // Mask API Key if it exists
-        if (settingsObj.google_places_config && settingsObj.google_places_config.api_key) {
-            const key = settingsObj.google_places_config.api_key;
-            // Send metadata instead of the key
-            settingsObj.google_places_config.api_key_alias = `${key.substring(0, 4)}...${key.substring(key.length - 4)}`;
-            settingsObj.google_places_config.api_key_length = key.length;
-            settingsObj.google_places_config.is_set = true;
-            delete settingsObj.google_places_config.api_key;
-        }
+        // Mask API Keys if they exist (send metadata instead of the keys)
+        apiKeyPool.mask(settingsObj.google_places_config);
 
         res.json({ success: true, settings: settingsObj });
     } catch (error) {
@@ -32,50 +29,83 @@ const getSettings = async (req, res) => {
     }
 };
 
+// Kept by the usage ledger (services/usageLedger), never taken from a settings payload
+const PLACES_COUNTER_FIELDS = ['calls_today', 'last_reset_date', 'usage_month'];
+
 // @desc    Update global settings
 // @route   PUT /api/settings
 // @access  Private/Admin
 const updateSettings = async (req, res) => {
     try {
-        const update = req.body;
+        const { google_places_config: gpUpdate, ...update } = req.body;
+        ['_id', 'key', '__v', 'createdAt', 'updatedAt'].forEach(field => delete update[field]);
+
+        if (update.storage_config && update.storage_config.provider) {
+            try {
+                storage.checkProvider(update.storage_config.provider);
+            } catch (error) {
+                return res.status(400).json({ success: false, error: error.message });
+            }
+        }
 
         let settings = await Settings.findOne({ key: 'global' });
 
+        // Key pool: one-way keys, encrypted, counters kept server-side
+        let keyPlan;
+        if (gpUpdate && gpUpdate.api_keys !== undefined) {
+            const existingKeys = (settings && settings.google_places_config && settings.google_places_config.api_keys) || [];
+            try {
+                keyPlan = apiKeyPool.planUpdate(existingKeys, gpUpdate.api_keys);
+            } catch (error) {
+                return res.status(400).json({ success: false, error: error.message });
+            }
+        }
+
         if (!settings) {
             settings = new Settings({ key: 'global', ...update });
         } else {
-            // Handle API Key preservation (One-Way Traffic)
-            const newKey = update.google_places_config && update.google_places_config.api_key;
-
-            // Clean up metadata fields from payload if present
-            if (update.google_places_config) {
-                delete update.google_places_config.api_key_alias;
-                delete update.google_places_config.api_key_length;
-                delete update.google_places_config.is_set;
-
-                if (!newKey) {
-                    // No new key provided (or empty string/undefined), preserve existing key
-                    // If existing config exists, use its key
-                    if (settings.google_places_config && settings.google_places_config.api_key) {
-                        update.google_places_config.api_key = settings.google_places_config.api_key;
-                    }
-                }
+            settings.set(update);
+        }
+        // Only modified paths are written, google_places_config is updated below
+        await settings.save();
+
+        if (gpUpdate) {
+            // Dotted paths: a running job's quota reservations ($inc on the counters) are never overwritten
+            stripMaskFields(gpUpdate, 'api_key');
+            const newKey = gpUpdate.api_key;
+            const fields = { ...gpUpdate };
+            ['api_key', 'api_keys', ...PLACES_COUNTER_FIELDS].forEach(field => delete fields[field]);
+
+            const $set = {};
+            Object.entries(fields).forEach(([field, value]) => {
+                $set[`google_places_config.${field}`] = value;
+            });
+            // No new key provided (or empty string/undefined): the existing key is preserved,
+            // encrypted on the way if it was stored in plaintext before
+            const storedKey = settings.google_places_config && settings.google_places_config.api_key;
+            if (newKey) {
+                $set['google_places_config.api_key'] = encryptSecret(String(newKey).trim());
+            } else if (storedKey && !isEncrypted(storedKey)) {
+                $set['google_places_config.api_key'] = encryptSecret(storedKey);
             }
 
-            settings.set(update);
+            if (Object.keys($set).length > 0) {
+                await Settings.updateOne({ key: 'global' }, { $set }, { runValidators: true });
+            }
+            if (keyPlan) {
+                await apiKeyPool.applyUpdate(keyPlan);
+            }
+            settings = await Settings.findOne({ key: 'global' });
         }
 
-        await settings.save();
+        // Concurrency limit lives in Redis for all workers
+        if (update.max_concurrent_jobs !== undefined) {
+            await jobQueue.syncConcurrency();
+        }
 
         // Mask for response
         const settingsObj = settings.toObject();
-        if (settingsObj.google_places_config && settingsObj.google_places_config.api_key) {
-            const key = settingsObj.google_places_config.api_key;
-            settingsObj.google_places_config.api_key_alias = `${key.substring(0, 4)}...${key.substring(key.length - 4)}`;
-            settingsObj.google_places_config.api_key_length = key.length;
-            settingsObj.google_places_config.is_set = true;
-            delete settingsObj.google_places_config.api_key;
-        }
+        apiKeyPool.mask(settingsObj.google_places_config);
 
         res.json({ success: true, settings: settingsObj });
     } catch (error) {
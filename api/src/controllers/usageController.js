@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const usageLedger = require('../services/usageLedger');
+
+// Default window per period when from/to are not given
+const DEFAULT_DAYS = {
+    daily: 30,
+    monthly: 365
+};
+
+// @desc    Places API usage rollups (daily or monthly, per user and per provider)
+// @route   GET /api/admin/usage
+// @access  Private/Admin
+const getUsage = async (req, res) => {
+    try {
+        const { period = 'daily', from, to, user_id, provider } = req.query;
+
+        if (!DEFAULT_DAYS[period]) {
+            return res.status(400).json({ success: false, error: 'period must be daily or monthly' });
+        }
+
+        const end = to ? new Date(to) : new Date();
+        const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_DAYS[period] * 24 * 60 * 60 * 1000);
+        if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+            return res.status(400).json({ success: false, error: 'from and to must be dates, from before to' });
+        }
+
+        // Only Super Admin sees other users' spend
+        let userId = user_id;
+        if (req.user.role?.name !== 'Super Admin') {
+            userId = req.user._id.toString();
+        } else if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ success: false, error: 'Invalid user_id' });
+        }
+
+        const usage = await usageLedger.rollup({ period, from: start, to: end, userId, provider });
+
+        res.json({
+            success: true,
+            period,
+            from: start,
+            to: end,
+            ...usage
+        });
+    } catch (error) {
+        logger.error(`Failed to fetch usage: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+module.exports = {
+    getUsage
+};
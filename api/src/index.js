@@ -5,6 +5,9 @@ require('dotenv').config();
 const connectDB = require('./config/database');
 const logger = require('./utils/logger');
 const scheduler = require('./services/scheduler');
+const jobQueue = require('./services/jobQueue');
+const { assertEncryptionKey } = require('./utils/secrets');
+const storage = require('./services/storage');
 
 // Workers
 
@@ -15,6 +18,9 @@ const settingsRoutes = require('./routes/settings');
 const authRoutes = require('./routes/auth');
 const logsRoutes = require('./routes/logs');
 const rolesRoutes = require('./routes/roles');
+const filesRoutes = require('./routes/files');
+const queryTemplatesRoutes = require('./routes/queryTemplates');
+const proxiesRoutes = require('./routes/proxies');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -31,11 +37,14 @@ app.use(express.urlencoded({ extended: true }));
 // API Routes
 // API Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/files', filesRoutes);
 app.use('/api/admin/logs', logsRoutes);
 app.use('/api/admin/settings', settingsRoutes);
 app.use('/api/admin/roles', rolesRoutes);
 app.use('/api/admin/users', require('./routes/users'));
 app.use('/api/admin/schedules', schedulesRoutes);
+app.use('/api/admin/query-templates', queryTemplatesRoutes);
+app.use('/api/admin/proxies', proxiesRoutes);
 app.use('/api/admin', adminRoutes);
 
 // Health Check
@@ -46,8 +55,11 @@ app.get('/health', (req, res) => {
 // Start server
 async function startServer() {
     try {
+        assertEncryptionKey();
+
         // Connect to MongoDB
         await connectDB();
+        await storage.assertConfigured();
 
         // Start Express server
         app.listen(PORT, () => {
@@ -60,9 +72,8 @@ async function startServer() {
             await scheduler.start();
         }
 
-        // Initialize Job Queue (Clean up stuck jobs)
-        const jobQueue = require('./services/jobQueue');
-        await jobQueue.init();
+        // Initialize Job Queue (set ENABLE_QUEUE_WORKER=false when dedicated workers run src/worker.js)
+        await jobQueue.init({ runWorker: process.env.ENABLE_QUEUE_WORKER !== 'false' });
 
     } catch (error) {
         logger.error('Failed to start server:', error);
@@ -74,12 +85,14 @@ async function startServer() {
 process.on('SIGTERM', async () => {
     logger.info('SIGTERM received, shutting down gracefully');
     scheduler.stop();
+    await jobQueue.close();
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
     logger.info('SIGINT received, shutting down gracefully');
     scheduler.stop();
+    await jobQueue.close();
     process.exit(0);
 });
 
@@ -49,6 +49,24 @@ const businessSchema = new mongoose.Schema({
     working_hours: mongoose.Schema.Types.Mixed,
     images: [mongoose.Schema.Types.Mixed],
 
+    // Place Details enrichment (services/placeEnrichment)
+    editorial_summary: String,
+    reviews: [{
+        _id: false,
+        author: String,
+        rating: Number,
+        text: String,
+        published_at: Date
+    }],
+    address_components: [mongoose.Schema.Types.Mixed], // As returned by Places
+    enrichment: {
+        enriched_at: Date,
+        fields_level: {
+            type: String,
+            enum: ['basic', 'contact', 'atmosphere']
+        }
+    },
+
     // Data Lineage
     sources: [{
         _id: false,
@@ -62,13 +80,17 @@ const businessSchema = new mongoose.Schema({
     audit_report: {
         generated_at: Date,
         insights: Object, // Raw PageSpeed data
-        pdf_path: String,
+        pdf_path: String, // Storage key (Cloudinary public ID for older reports)
+        storage_provider: { // Missing on reports stored before storage was configurable
+            type: String,
+            enum: ['cloudinary', 'local', 's3']
+        },
         status: {
             type: String,
             enum: ['not_generated', 'pending', 'completed', 'failed'],
             default: 'not_generated'
         },
-        public_url: String
+        public_url: String // Cloudinary only, local/S3 links are signed on download
     },
 
     // References to Raw Data (for debugging/audit)
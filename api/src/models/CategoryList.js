@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Saved categories for the query builder (see services/queryBuilder)
+const categoryListSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    categories: [{
+        type: String,
+        trim: true
+    }],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('CategoryList', categoryListSchema);
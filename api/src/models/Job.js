@@ -9,14 +9,44 @@ const jobSchema = new mongoose.Schema({
         index: true
     },
 
+    // Job kind: a live scrape, a replay of another job's raw data, or a
+    // Place Details pass over another job's businesses
+    type: {
+        type: String,
+        enum: ['scrape', 'reprocess', 'enrich'],
+        default: 'scrape'
+    },
+    reprocess_of: {
+        type: String, // job_id whose raw data is replayed
+        index: true
+    },
+    enrich_of: {
+        type: String, // job_id whose businesses are enriched
+        index: true
+    },
+    // Businesses that gained or changed fields during a reprocess
+    reprocess_diff: {
+        type: mongoose.Schema.Types.Mixed
+    },
+
     // Job status
     status: {
         type: String,
-        enum: ['pending', 'running', 'completed', 'failed'],
+        enum: ['pending', 'running', 'retrying', 'completed', 'failed', 'cancelled', 'dead'],
         default: 'pending',
         index: true
     },
 
+    // Current BullMQ entry for this job (one per attempt)
+    queue_job_id: String,
+
+    // Scheduling priority (higher runs first)
+    priority: {
+        type: Number,
+        default: 0,
+        index: true
+    },
+
     // Input data
     queries: [{
         type: String,
@@ -37,6 +67,75 @@ const jobSchema = new mongoose.Schema({
         default: 0
     },
 
+    // Per-query outcome (recorded by providers that can tell queries apart)
+    query_outcomes: [{
+        _id: false,
+        query: String,
+        status: {
+            type: String,
+            enum: ['success', 'empty', 'error', 'skipped']
+        },
+        results: { type: Number, default: 0 }, // Raw hits returned by the provider
+        pages: { type: Number, default: 0 },
+        cached_pages: { type: Number, default: 0 }, // Pages served from the Places response cache
+        error: String,
+        http_status: Number, // Last provider error status (429, 5xx...)
+        attempts: Number, // Requests made for that failing call, retries included
+        // What became of those hits in the deduplicator
+        passed: { type: Number, default: 0 },
+        new: { type: Number, default: 0 },
+        updated: { type: Number, default: 0 },
+        skipped: { type: Number, default: 0 },
+        skip_reasons: { type: Map, of: Number }
+    }],
+
+    // Geo grid cells searched (config.geo_grid), in search order
+    grid_cells: [{
+        _id: false,
+        query: String, // Null when one run covered all queries (Docker scraper)
+        cell: String, // r<row>c<col>, subdivisions append .0-.3
+        depth: Number,
+        bounds: {
+            north: Number,
+            south: Number,
+            east: Number,
+            west: Number
+        },
+        status: {
+            type: String,
+            enum: ['success', 'empty', 'error']
+        },
+        results: Number, // Places returned in the cell
+        unique: Number, // Not already found by an earlier cell
+        subdivided: Boolean, // Dense enough to be searched again in quarters
+        error: String
+    }],
+
+    // Live progress snapshot (see services/jobEvents)
+    progress: {
+        phase: String, // queued | scraping | uploading | deduplicating | enriching | done | failed | cancelled | retrying | dead
+        queries: [{
+            _id: false,
+            query: String,
+            pages: Number,
+            results: Number
+        }],
+        dedup: {
+            processed: Number,
+            total: Number,
+            new: Number,
+            updated: Number,
+            skipped: Number,
+            errors: Number
+        },
+        enrichment: {
+            enriched: Number,
+            failed: Number,
+            total: Number
+        },
+        updated_at: Date
+    },
+
     // Filtration Analytics
     filtration_stats: {
         processed: { type: Number, default: 0 },
@@ -45,6 +144,79 @@ const jobSchema = new mongoose.Schema({
         reasons: { type: Map, of: Number, default: {} }
     },
 
+    // Output ingestion throughput (deduplicator batches)
+    ingestion: {
+        records: Number,
+        batches: Number,
+        duration_ms: Number,
+        records_per_second: Number,
+        peak_rss_mb: Number
+    },
+
+    // Output validation against config/outputSchemas (one entry per provider ingested)
+    schema_reports: [{
+        _id: false,
+        provider: String,
+        schema_version: Number,
+        validated: Number,
+        quarantined: Number, // Stored in QuarantinedRecord
+        unknown_fields: [{ _id: false, field: String, count: Number }],
+        missing_fields: [{ _id: false, field: String, count: Number }],
+        type_mismatches: [{ _id: false, field: String, count: Number }],
+        drift: Boolean // Output no longer matches the schema
+    }],
+
+    // How the scraper container exited (Docker scraper only, last attempt)
+    container: {
+        name: String,
+        exit_code: Number,
+        oom_killed: Boolean,
+        timed_out: Boolean,
+        started_at: Date,
+        finished_at: Date
+    },
+
+    // Pool proxies the scraper used (services/proxyPool), failed = blamed for errors
+    proxies: [{
+        _id: false,
+        proxy_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Proxy'
+        },
+        label: String,
+        region: String,
+        failed: Boolean
+    }],
+
+    // Text Search pages served from the response cache vs. fetched (services/placesCache)
+    places_cache: {
+        hits: Number,
+        misses: Number
+    },
+
+    // Place Details pass (services/placeEnrichment): the job's own (config.enrich_details) or, for enrich jobs, enrich_of's
+    enrichment: {
+        fields_level: String,
+        matched: Number, // Businesses not yet enriched at this tier
+        enriched: Number,
+        failed: Number,
+        without_places_id: Number,
+        remaining: Number,
+        api_calls: Number,
+        stopped_by: String, // 'daily_limit'
+        error: String, // The pass could not run (e.g. no API key)
+        errors: [{ _id: false, place_id: String, error: String }],
+        finished_at: Date
+    },
+
+    // Container output stored in JobLog (see services/jobLogs)
+    log_stats: {
+        lines: { type: Number, default: 0 },
+        warnings: { type: Number, default: 0 },
+        errors: { type: Number, default: 0 },
+        dropped: { type: Number, default: 0 } // Oldest lines removed by the per-job cap
+    },
+
     // Timing
     started_at: Date,
     completed_at: Date,
@@ -53,7 +225,49 @@ const jobSchema = new mongoose.Schema({
     // Error handling
     error_message: String,
 
-    // Cloudinary storage
+    // Automatic retries ('dead' once max_attempts is exhausted)
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    max_attempts: Number,
+    next_attempt_at: Date,
+    attempt_errors: [{
+        _id: false,
+        attempt: Number,
+        error: String,
+        failed_at: Date
+    }],
+
+    // Cancellation
+    cancelled_at: Date,
+    cancelled_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Retry lineage
+    retry_of: {
+        type: String, // job_id of the job this one retries
+        index: true
+    },
+    retry_count: {
+        type: Number,
+        default: 0
+    },
+
+    // Stored scraper output (see services/storage)
+    output_file: {
+        provider: {
+            type: String,
+            enum: ['cloudinary', 'local', 's3']
+        },
+        key: String,
+        url: String, // Cloudinary only, local/S3 links are signed on request
+        size: Number
+    },
+
+    // Cloudinary storage (also set when the output went to Cloudinary)
     cloudinary_url: String,
     cloudinary_public_id: String,
 
@@ -74,7 +288,21 @@ const jobSchema = new mongoose.Schema({
     metadata: {
         location: String,
         category: String,
-        tags: [String]
+        tags: [String],
+        // Category/location each query was built from (services/queryBuilder)
+        query_pairs: [{
+            _id: false,
+            query: String,
+            category: String,
+            location: String,
+            location_parts: {
+                neighbourhood: String,
+                city: String,
+                state: String,
+                zip: String,
+                country: String
+            }
+        }]
     },
 
     // Ownership
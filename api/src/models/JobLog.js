@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const jobLogSchema = new mongoose.Schema({
+    job_id: {
+        type: String,
+        required: true
+    },
+    seq: { // Line number within the job, across attempts
+        type: Number,
+        required: true
+    },
+    attempt: Number,
+    stream: {
+        type: String,
+        enum: ['stdout', 'stderr']
+    },
+    level: {
+        type: String,
+        enum: ['debug', 'info', 'warn', 'error'],
+        default: 'info'
+    },
+    message: String, // Parsed message (without timestamp/level prefix)
+    fields: mongoose.Schema.Types.Mixed, // Structured fields of JSON/logfmt lines
+    line: String, // Original line as printed by the container
+    logged_at: Date
+});
+
+jobLogSchema.index({ job_id: 1, seq: 1 });
+jobLogSchema.index({ job_id: 1, level: 1, seq: 1 });
+
+module.exports = mongoose.model('JobLog', jobLogSchema);
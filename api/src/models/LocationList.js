@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Saved locations for the query builder, each field is a template placeholder
+const locationListSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    locations: [{
+        _id: false,
+        city: { type: String, trim: true },
+        state: { type: String, trim: true },
+        zip: { type: String, trim: true },
+        neighbourhood: { type: String, trim: true },
+        country: { type: String, trim: true }
+    }],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('LocationList', locationListSchema);
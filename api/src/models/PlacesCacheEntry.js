@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Cached Text Search / Nearby Search response (services/placesCache), removed by the TTL index
+const placesCacheEntrySchema = new mongoose.Schema({
+    key: {
+        type: String, // sha256 of the request (query, field mask, page token, area)
+        required: true,
+        unique: true
+    },
+    query: String, // Text query or included types, for inspection only
+    response: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    hits: { type: Number, default: 0 },
+    expires_at: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true,
+    minimize: false // Keep empty responses ({}), they are valid results
+});
+
+placesCacheEntrySchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PlacesCacheEntry', placesCacheEntrySchema);
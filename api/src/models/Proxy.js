@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Managed proxy for the Docker scraper (see services/proxyPool)
+const proxySchema = new mongoose.Schema({
+    label: {
+        type: String,
+        trim: true
+    },
+    protocol: {
+        type: String,
+        enum: ['http', 'https', 'socks5'],
+        default: 'http'
+    },
+    host: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    port: {
+        type: Number,
+        required: true
+    },
+    username: String,
+    password: String, // Never sent to clients, see utils/secrets
+    region: {
+        type: String, // e.g. "us", "us-tx", "de"
+        trim: true,
+        lowercase: true,
+        index: true
+    },
+
+    is_active: {
+        type: Boolean,
+        default: true,
+        index: true
+    },
+    disabled_reason: String, // Set when the pool disabled it
+    disabled_at: Date,
+
+    // Health counters (one result per job that used the proxy)
+    stats: {
+        jobs: { type: Number, default: 0 },
+        successes: { type: Number, default: 0 },
+        failures: { type: Number, default: 0 },
+        consecutive_failures: { type: Number, default: 0 }
+    },
+    last_used_at: Date, // Round-robin order
+    last_success_at: Date,
+    last_failure_at: Date,
+    last_error: String,
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+proxySchema.index({ host: 1, port: 1, username: 1 }, { unique: true });
+
+module.exports = mongoose.model('Proxy', proxySchema);
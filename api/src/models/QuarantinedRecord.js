@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const quarantinedRecordSchema = new mongoose.Schema({
+    job_id: {
+        type: String, // Job that tried to ingest the record
+        required: true,
+        index: true
+    },
+    provider: {
+        type: String,
+        enum: ['scraper', 'google_places']
+    },
+    schema_version: Number, // config/outputSchemas version it failed
+    validation_errors: [String],
+    data: {
+        type: mongoose.Schema.Types.Mixed, // The record as received
+        required: true
+    },
+    raw_id: mongoose.Schema.Types.ObjectId, // Set when a stored raw doc was replayed
+    source_query: String
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('QuarantinedRecord', quarantinedRecordSchema);
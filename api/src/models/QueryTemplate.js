@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const queryTemplateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // e.g. "{category} in {city}, {state}" (see services/queryBuilder for placeholders)
+    template: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Lists used when a scrape does not pick its own
+    category_list: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CategoryList'
+    },
+    location_list: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LocationList'
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('QueryTemplate', queryTemplateSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const rejectedRecordSchema = new mongoose.Schema({
+    job_id: {
+        type: String, // Job whose filter rejected the record (reprocess jobs included)
+        required: true,
+        index: true
+    },
+    reason: {
+        type: String,
+        enum: ['missing_place_id', 'no_contact_info'],
+        required: true,
+        index: true
+    },
+    // Raw document the record was read from
+    raw_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'raw_model'
+    },
+    raw_model: {
+        type: String,
+        enum: ['ScraperRaw', 'GooglePlaceRaw']
+    },
+    place_id: String,
+    name: String,
+    source_query: String
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('RejectedRecord', rejectedRecordSchema);
@@ -36,7 +36,10 @@ const scheduleSchema = new mongoose.Schema({
     config: {
         max_results: Number,
         depth: Number,
-        email_extraction: Boolean
+        email_extraction: Boolean,
+        geo_grid: mongoose.Schema.Types.Mixed, // See services/geoGrid
+        search_mode: String, // 'nearby' for a Nearby Search sweep (services/nearbySearch)
+        nearby: mongoose.Schema.Types.Mixed
     },
     last_run: Date,
     createdBy: {
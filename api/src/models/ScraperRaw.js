@@ -6,8 +6,7 @@ const scraperRawSchema = new mongoose.Schema({
         index: true
     },
     place_id: {
-        type: String,
-        required: true,
+        type: String, // Missing on records the filter rejects for it (kept for inspection)
         index: true
     },
     data: {
@@ -15,6 +14,7 @@ const scraperRawSchema = new mongoose.Schema({
         required: true
     },
     source_query: String,
+    quarantined: Boolean // Failed output schema validation (see QuarantinedRecord), not merged into businesses
 }, {
     timestamps: true
 });
@@ -10,10 +10,65 @@ const settingsSchema = new mongoose.Schema({
         type: Number,
         default: 1
     },
+    max_concurrent_jobs_per_user: { // 0 = no per-user cap
+        type: Number,
+        default: 0
+    },
     default_max_results: {
         type: Number,
         default: 70
     },
+    // Automatic retry of failed queue jobs
+    job_retry_config: {
+        max_attempts: { type: Number, default: 3 },
+        backoff_base_seconds: { type: Number, default: 30 }, // Doubles every attempt
+        backoff_max_seconds: { type: Number, default: 1800 }
+    },
+    // Where scrape outputs and audit PDFs are stored
+    // (S3 credentials come from S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY)
+    storage_config: {
+        provider: {
+            type: String,
+            enum: ['cloudinary', 'local', 's3'],
+            default: 'cloudinary'
+        },
+        s3: {
+            bucket: String,
+            region: { type: String, default: 'us-east-1' },
+            endpoint: String, // e.g. http://minio:9000
+            force_path_style: { type: Boolean, default: false } // true for MinIO
+        },
+        signed_url_ttl_seconds: { type: Number, default: 3600 } // Local/S3 download links
+    },
+
+    // Resources for each Docker scraper container
+    scraper_container_config: {
+        memory_mb: { type: Number, default: 1024 },
+        cpus: { type: Number, default: 1 },
+        shm_size_mb: { type: Number, default: 1024 }, // Chromium needs a large /dev/shm
+        timeout_minutes: { type: Number, default: 60 } // 0 = no limit
+    },
+    // How long a completed query blocks re-runs (unless force_scrape), in days; 0 = never blocks
+    freshness_config: {
+        window_days: {
+            google_places: { type: Number, default: 30 },
+            scraper: { type: Number, default: 30 }
+        },
+        // First match wins; matches a query builder category or a whole word of the query
+        category_overrides: [{
+            _id: false,
+            category: { type: String, trim: true },
+            provider: { type: String, enum: ['scraper', 'google_places'] }, // Unset = both
+            days: Number
+        }]
+    },
+
+    // Managed proxy pool for the Docker scraper (jobs that pass their own proxies skip it)
+    proxy_config: {
+        enabled: { type: Boolean, default: false },
+        proxies_per_job: { type: Number, default: 3 },
+        max_consecutive_failures: { type: Number, default: 3 } // Then the proxy is disabled
+    },
     scraping_interval_min: { // minimum minutes between queries to avoid bans
         type: Number,
         default: 0
@@ -28,13 +83,28 @@ const settingsSchema = new mongoose.Schema({
         default: 'scraper'
     },
     google_places_config: {
-        api_key: String,
+        api_key: String, // Single key, used when api_keys is empty
+        // Key pool (services/apiKeyPool), tried in order; keys are stored encrypted
+        api_keys: [{
+            label: { type: String, trim: true },
+            api_key: String, // encryptSecret() output
+            enabled: { type: Boolean, default: true },
+            daily_limit: Number, // Unset = only the global daily_limit applies
+            monthly_budget_usd: Number, // Estimated spend cap, unset = none
+            calls_today: { type: Number, default: 0 },
+            month_spend_usd: { type: Number, default: 0 },
+            cooldown_until: Date, // Skipped until then after a 403/429
+            last_error: String,
+            last_used_at: Date
+        }],
+        usage_month: String, // YYYY-MM the key month_spend_usd counters belong to
         enabled: { type: Boolean, default: false },
         daily_limit: { type: Number, default: 50 }, // Safe for Free Tier (~$200 credit / ~$35 per k = ~5700 calls/mo)
         calls_today: { type: Number, default: 0 },
         last_reset_date: { type: Date, default: Date.now },
         fallback_to_scraper: { type: Boolean, default: false }, // Auto-switch disabled by default
         default_max_pages: { type: Number, default: 1 }, // Default to 1 page (20 results) for safety
+        cache_ttl_hours: { type: Number, default: 24, min: 0 }, // Text Search response cache, 0 disables it
         fields_level: {
             type: String,
             enum: ['basic', 'contact', 'atmosphere'], // basic=$17/k, contact(+$35/k), atmosphere(+$)
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One billed API call. Append-only: written by services/usageLedger, never updated.
+const usageRecordSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        enum: ['google_places'],
+        default: 'google_places',
+        index: true
+    },
+    operation: {
+        type: String,
+        enum: ['text_search', 'nearby_search', 'place_details'],
+        required: true
+    },
+    job_id: {
+        type: String, // Missing for calls made outside a job (e.g. business enrichment)
+        index: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    api_key_id: mongoose.Schema.Types.ObjectId, // google_places_config.api_keys entry, missing for the single key
+    fields_level: {
+        type: String,
+        enum: ['basic', 'contact', 'atmosphere']
+    },
+    target: String, // Text query or place_id
+    status: {
+        type: String,
+        enum: ['ok', 'error'],
+        default: 'ok'
+    },
+    error: String,
+    cost_usd: { type: Number, default: 0 } // Estimate (config/placesPricing), 0 for errors
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: false }
+});
+
+usageRecordSchema.index({ created_at: -1 });
+
+usageRecordSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function () {
+    throw new Error('Usage records are append-only');
+});
+
+module.exports = mongoose.model('UsageRecord', usageRecordSchema);
@@ -1,10 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const auditController = require('../controllers/auditController');
-const { startScrape, getJobs, getJobById } = require('../controllers/jobController');
-const { getDashboardStats, getBusinesses, updateBusiness } = require('../controllers/businessController');
+const { startScrape, estimateScrape, getJobs, getJobById, getRejectedRecords, getQuarantinedRecords, getJobLogs, exportJob, cancelJob, retryJob, reprocessJob, enrichJob, streamJobEvents } = require('../controllers/jobController');
+const { getDashboardStats, getBusinesses, updateBusiness, enrichBusinesses } = require('../controllers/businessController');
 const { getStats } = require('../controllers/statController');
 const { getGoogleRaw, getScraperRaw } = require('../controllers/rawController');
+const { getUsage } = require('../controllers/usageController');
 const { protect, checkPermission } = require('../middleware/authMiddleware');
 
 // Apply protection to all admin routes
@@ -12,17 +13,31 @@ router.use(protect);
 
 // Job Routes
 router.post('/scrape/start', checkPermission('run_scraper'), startScrape);
+router.post('/scrape/estimate', checkPermission('run_scraper'), estimateScrape);
 router.get('/jobs', checkPermission('view_operations'), getJobs);
 router.get('/jobs/:id', checkPermission('view_operations'), getJobById);
+router.get('/jobs/:id/events', checkPermission('view_operations'), streamJobEvents);
+router.get('/jobs/:id/rejected', checkPermission('view_operations'), getRejectedRecords);
+router.get('/jobs/:id/quarantined', checkPermission('view_operations'), getQuarantinedRecords);
+router.get('/jobs/:id/logs', checkPermission('view_operations'), getJobLogs);
+router.get('/jobs/:id/export', checkPermission('export_data'), exportJob);
+router.post('/jobs/:id/cancel', checkPermission('run_scraper'), cancelJob);
+router.post('/jobs/:id/retry', checkPermission('run_scraper'), retryJob);
+router.post('/jobs/:id/reprocess', checkPermission('run_scraper'), reprocessJob);
+router.post('/jobs/:id/enrich', checkPermission('run_scraper'), enrichJob);
 
 // Business Routes
 router.get('/businesses/stats', checkPermission('view_dashboard'), getDashboardStats);
 router.get('/businesses', checkPermission('view_data'), getBusinesses);
+router.post('/businesses/enrich', checkPermission('run_scraper'), enrichBusinesses);
 router.put('/businesses/:id', checkPermission('view_data'), updateBusiness); // Maybe manage_data? Frontend says 'view_data' covers access? "Access to leads data".
 
 // Stats
 router.get('/stats', checkPermission('view_dashboard'), getStats);
 
+// Places API usage ledger (own usage unless Super Admin)
+router.get('/usage', checkPermission('view_operations'), getUsage);
+
 // Raw Data
 router.get('/raw/google', checkPermission('export_data'), getGoogleRaw);
 router.get('/raw/scraper', checkPermission('export_data'), getScraperRaw);
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { downloadFile } = require('../controllers/fileController');
+
+// @desc    Download a locally stored file (signed, expiring link)
+// @route   GET /api/files/download
+// @access  Public (signed)
+router.get('/download', downloadFile);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { getProxies, createProxies, updateProxy, deleteProxy } = require('../controllers/proxyController');
+const { protect, checkPermission } = require('../middleware/authMiddleware');
+
+// Proxies hold credentials, same permission as the Places API key
+router.use(protect);
+router.use(checkPermission('manage_settings'));
+
+// GET /proxies - List pool proxies (credentials masked)
+router.get('/', getProxies);
+
+// POST /proxies - Add one proxy or a list of proxy URLs
+router.post('/', createProxies);
+
+// PUT /proxies/:id - Update / re-enable a proxy
+router.put('/:id', updateProxy);
+
+// DELETE /proxies/:id - Remove a proxy
+router.delete('/:id', deleteProxy);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const {
+    categoryLists,
+    locationLists,
+    queryTemplates,
+    previewQueries
+} = require('../controllers/queryTemplateController');
+const { protect, checkPermission } = require('../middleware/authMiddleware');
+
+// Apply protection and permission check
+router.use(protect);
+router.use(checkPermission('run_scraper'));
+
+// POST /query-templates/preview - Expand a template (nothing is queued)
+router.post('/preview', previewQueries);
+
+// Saved category lists
+router.get('/categories', categoryLists.list);
+router.post('/categories', categoryLists.create);
+router.put('/categories/:id', categoryLists.update);
+router.delete('/categories/:id', categoryLists.remove);
+
+// Saved location lists
+router.get('/locations', locationLists.list);
+router.post('/locations', locationLists.create);
+router.put('/locations/:id', locationLists.update);
+router.delete('/locations/:id', locationLists.remove);
+
+// Saved templates
+router.get('/', queryTemplates.list);
+router.post('/', queryTemplates.create);
+router.put('/:id', queryTemplates.update);
+router.delete('/:id', queryTemplates.remove);
+
+module.exports = router;
@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const Settings = require('../models/Settings');
+const logger = require('../utils/logger');
+const { maskSecret, stripMaskFields, encryptSecret, decryptSecret } = require('../utils/secrets');
+
+// Fields an admin may set on a pool key (counters and health are kept server-side)
+const KEY_FIELDS = ['label', 'enabled', 'daily_limit', 'monthly_budget_usd'];
+
+// How long a key is skipped after Google rejects it
+const RATE_LIMIT_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * Google Places API key pool
+ * Keys are tried in order. A key is skipped while it is disabled, cooling down
+ * after a 403/429, or out of its daily limit / monthly budget. With an empty
+ * pool the single google_places_config.api_key is used.
+ */
+class ApiKeyPoolService {
+    /**
+     * Whether any key is configured
+     */
+    hasKeys(gpConfig) {
+        if (!gpConfig) return false;
+        return !!gpConfig.api_key || (gpConfig.api_keys || []).some(key => key.enabled && key.api_key);
+    }
+
+    /**
+     * Keys that may take a call now, in pool order
+     * @param {Object} gpConfig - google_places_config
+     * @param {number} cost - Estimated cost of the call (checked against monthly budgets)
+     * @param {Set<string>} exclude - Key ids already rejected for this call
+     * @returns {Array<Object>} - { id, label, api_key (decrypted), daily_limit, monthly_budget_usd }, id null for the single key
+     */
+    candidates(gpConfig, cost = 0, exclude = new Set()) {
+        const pool = gpConfig.api_keys || [];
+
+        if (pool.length === 0) {
+            return gpConfig.api_key ? [{ id: null, label: 'default', api_key: decryptSecret(gpConfig.api_key) }] : [];
+        }
+
+        const now = new Date();
+        return pool
+            .filter(key => key.enabled && key.api_key && !exclude.has(key._id.toString()))
+            .filter(key => !key.cooldown_until || key.cooldown_until <= now)
+            .filter(key => !key.daily_limit || (key.calls_today || 0) < key.daily_limit)
+            .filter(key => !key.monthly_budget_usd || (key.month_spend_usd || 0) + cost <= key.monthly_budget_usd)
+            .map(key => ({
+                id: key._id,
+                label: key.label || `key ${key._id.toString().slice(-6)}`,
+                api_key: decryptSecret(key.api_key),
+                daily_limit: key.daily_limit,
+                monthly_budget_usd: key.monthly_budget_usd
+            }));
+    }
+
+    /**
+     * Google rejected the key itself (quota, rate limit, restrictions), another key may work
+     */
+    isKeyError(error) {
+        return error.status === 403 || error.status === 429;
+    }
+
+    /**
+     * Skip a key for a while: a minute after 429, the rest of the day after 403
+     */
+    async markUnhealthy(keyId, error) {
+        const now = new Date();
+        const cooldownUntil = error.status === 403
+            ? new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1)
+            : new Date(now.getTime() + RATE_LIMIT_COOLDOWN_MS);
+
+        try {
+            await Settings.updateOne(
+                { key: 'global', 'google_places_config.api_keys._id': keyId },
+                {
+                    $set: {
+                        'google_places_config.api_keys.$.cooldown_until': cooldownUntil,
+                        'google_places_config.api_keys.$.last_error': error.message.substring(0, 300)
+                    }
+                }
+            );
+        } catch (err) {
+            logger.error(`Failed to record API key health: ${err.message}`);
+        }
+    }
+
+    /**
+     * Replace secrets with *_alias metadata for a settings response (mutates gpConfig)
+     */
+    mask(gpConfig) {
+        if (!gpConfig) return gpConfig;
+
+        if (gpConfig.api_key) {
+            gpConfig.api_key = this.safeDecrypt(gpConfig.api_key);
+            maskSecret(gpConfig, 'api_key');
+        }
+        (gpConfig.api_keys || []).forEach(key => {
+            key.api_key = this.safeDecrypt(key.api_key);
+            maskSecret(key, 'api_key');
+        });
+        return gpConfig;
+    }
+
+    // A key that no longer decrypts is shown masked instead of failing the whole response
+    safeDecrypt(value) {
+        try {
+            return decryptSecret(value);
+        } catch (error) {
+            logger.error(error.message);
+            return '****';
+        }
+    }
+
+    /**
+     * Work out the writes a settings update makes to the pool
+     * Entries with an _id update that key (an empty api_key keeps the stored one),
+     * entries without one are new keys, and keys left out are removed.
+     * @param {Array<Object>} existing - Stored api_keys
+     * @param {Array<Object>} incoming - api_keys from the request
+     * @returns {Object} - { set, unset, arrayFilters, added, removed } for applyUpdate
+     * @throws {Error} - On an invalid entry (message suitable for a 400)
+     */
+    planUpdate(existing = [], incoming) {
+        if (!Array.isArray(incoming)) {
+            throw new Error('api_keys must be an array');
+        }
+
+        const plan = { set: {}, unset: {}, arrayFilters: [], added: [], removed: [] };
+        const kept = new Set();
+
+        incoming.forEach((entry, index) => {
+            if (!entry || typeof entry !== 'object') {
+                throw new Error(`api_keys[${index}] must be an object`);
+            }
+            stripMaskFields(entry, 'api_key');
+
+            const stored = entry._id && existing.find(key => key._id.toString() === String(entry._id));
+            if (entry._id && !stored) {
+                throw new Error(`api_keys[${index}]: unknown key id`);
+            }
+            if (!stored && !entry.api_key) {
+                throw new Error(`api_keys[${index}]: api_key is required for a new key`);
+            }
+
+            ['daily_limit', 'monthly_budget_usd'].forEach(field => {
+                if (entry[field] !== undefined && entry[field] !== null && !(Number(entry[field]) >= 0)) {
+                    throw new Error(`api_keys[${index}]: ${field} must be a non-negative number`);
+                }
+            });
+
+            if (!stored) {
+                const key = { _id: new mongoose.Types.ObjectId(), api_key: encryptSecret(entry.api_key.trim()) };
+                KEY_FIELDS.filter(field => entry[field] !== undefined).forEach(field => { key[field] = entry[field]; });
+                plan.added.push(key);
+                return;
+            }
+
+            kept.add(stored._id.toString());
+            const name = `k${plan.arrayFilters.length}`;
+            const path = `google_places_config.api_keys.$[${name}]`;
+            const set = {};
+            const unset = {};
+
+            KEY_FIELDS.filter(field => entry[field] !== undefined).forEach(field => { set[`${path}.${field}`] = entry[field]; });
+            if (entry.api_key) {
+                set[`${path}.api_key`] = encryptSecret(entry.api_key.trim());
+                // A new secret starts healthy
+                unset[`${path}.cooldown_until`] = '';
+                unset[`${path}.last_error`] = '';
+            } else if (entry.enabled === true && !stored.enabled) {
+                unset[`${path}.cooldown_until`] = '';
+            }
+
+            // Mongo rejects array filters the update does not use
+            if (Object.keys(set).length > 0 || Object.keys(unset).length > 0) {
+                Object.assign(plan.set, set);
+                Object.assign(plan.unset, unset);
+                plan.arrayFilters.push({ [`${name}._id`]: stored._id });
+            }
+        });
+
+        plan.removed = existing.filter(key => !kept.has(key._id.toString())).map(key => key._id);
+        return plan;
+    }
+
+    /**
+     * Write a planUpdate result with targeted updates
+     * Only admin fields are written, so the calls_today / month_spend_usd a
+     * running job reserves meanwhile are kept. New keys go to the end of the pool.
+     */
+    async applyUpdate(plan) {
+        const update = {};
+        if (Object.keys(plan.set).length > 0) update.$set = plan.set;
+        if (Object.keys(plan.unset).length > 0) update.$unset = plan.unset;
+
+        // One array operator per update: changes, removals and additions are separate writes
+        if (update.$set || update.$unset) {
+            await Settings.updateOne({ key: 'global' }, update, { arrayFilters: plan.arrayFilters, runValidators: true });
+        }
+        if (plan.removed.length > 0) {
+            await Settings.updateOne(
+                { key: 'global' },
+                { $pull: { 'google_places_config.api_keys': { _id: { $in: plan.removed } } } }
+            );
+        }
+        if (plan.added.length > 0) {
+            await Settings.updateOne(
+                { key: 'global' },
+                { $push: { 'google_places_config.api_keys': { $each: plan.added } } }
+            );
+        }
+    }
+}
+
+module.exports = new ApiKeyPoolService();
@@ -4,7 +4,7 @@ const ReactPDF = require('@react-pdf/renderer');
 const fs = require('fs');
 const path = require('path');
 const AuditReportTemplate = require('../templates/AuditReportTemplate');
-const { uploadFile } = require('../utils/cloudinary');
+const storage = require('./storage');
 
 const REPORTS_DIR = path.join(__dirname, '../../public/reports');
 
@@ -49,15 +49,16 @@ class AuditService {
                 filePath
             );
 
-            // Upload to Cloudinary
-            const result = await uploadFile(filePath, 'audit-reports', publicId);
+            // Upload to the configured storage
+            const stored = await storage.upload(filePath, 'audit-reports', publicId);
 
             // Delete local temp file
             fs.unlinkSync(filePath);
 
             return {
-                publicUrl: result.secure_url,
-                publicId: result.public_id
+                publicUrl: stored.url,
+                publicId: stored.key,
+                provider: stored.provider
             };
         } catch (error) {
             console.error('PDF Generation/Upload Error:', error);
@@ -0,0 +1,192 @@
+const Docker = require('dockerode');
+const { PassThrough } = require('stream');
+const logger = require('../utils/logger');
+
+// Grace period for `docker stop` before the container is killed
+const STOP_TIMEOUT_SECONDS = 5;
+
+/**
+ * Runs one-off containers through the Docker Engine API.
+ * Env, binds and limits are passed as structured options. The scraper
+ * image's run.sh hands each env value to the scraper as one argument, so
+ * request values are never parsed as shell code.
+ */
+class ContainerRunner {
+    constructor() {
+        // Honours DOCKER_HOST, falls back to /var/run/docker.sock
+        this.docker = new Docker();
+    }
+
+    /**
+     * Run a container to completion
+     * @param {Object} options
+     * @param {string} options.name - Container name (a stale one with the same name is removed)
+     * @param {string} options.image - Image, pulled if missing
+     * @param {Object} options.env - Environment variables
+     * @param {Array<string>} options.binds - Volume binds ("source:/target")
+     * @param {Object} options.limits - { memory_mb, cpus, shm_size_mb }
+     * @param {number} options.timeoutSeconds - Kill the container after this long (0 = no limit)
+     * @param {AbortSignal} options.signal - Kills the container when aborted
+     * @param {Function} options.onLine - Called with (stream, line) for every output line
+     * @returns {Promise<Object>} - { name, exit_code, oom_killed, timed_out, cancelled, started_at, finished_at }
+     */
+    async run({ name, image, env = {}, binds = [], limits = {}, timeoutSeconds = 0, signal = null, onLine = null }) {
+        if (signal && signal.aborted) {
+            return { name, cancelled: true };
+        }
+
+        await this.removeContainer(name);
+
+        const createOptions = {
+            name,
+            Image: image,
+            Env: Object.entries(env).map(([key, value]) => `${key}=${value === undefined || value === null ? '' : value}`),
+            HostConfig: {
+                Binds: binds,
+                Memory: limits.memory_mb ? limits.memory_mb * 1024 * 1024 : 0,
+                NanoCpus: limits.cpus ? Math.round(limits.cpus * 1e9) : 0,
+                ShmSize: limits.shm_size_mb ? limits.shm_size_mb * 1024 * 1024 : undefined
+            }
+        };
+
+        const info = { name, exit_code: null, oom_killed: false, timed_out: false, cancelled: false };
+        let container = null;
+        let timer = null;
+
+        // Listen from the start: a cancel during pull, create or attach must stop the container too
+        const onAbort = () => {
+            info.cancelled = true;
+            if (container) this.stopContainer(container, name);
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            try {
+                container = await this.docker.createContainer(createOptions);
+            } catch (error) {
+                if (error.statusCode !== 404) throw error;
+                await this.pullImage(image);
+                if (info.cancelled) return info;
+                container = await this.docker.createContainer(createOptions);
+            }
+            if (info.cancelled) return info;
+
+            const stream = await container.attach({ stream: true, stdout: true, stderr: true });
+            this.forwardOutput(container, stream, onLine);
+
+            await container.start();
+            info.started_at = new Date();
+            logger.info(`Container ${name} started (${image})`);
+
+            // Cancelled while attaching or starting: the stop above hit a container that was not running yet
+            if (info.cancelled) {
+                await this.stopContainer(container, name);
+            }
+
+            if (timeoutSeconds > 0) {
+                timer = setTimeout(() => {
+                    info.timed_out = true;
+                    logger.warn(`Container ${name} exceeded ${timeoutSeconds}s, stopping it`);
+                    this.stopContainer(container, name);
+                }, timeoutSeconds * 1000);
+            }
+
+            const result = await container.wait();
+            info.finished_at = new Date();
+            info.exit_code = result.StatusCode;
+
+            const state = (await container.inspect()).State || {};
+            info.oom_killed = !!state.OOMKilled;
+
+            logger.info(`Container ${name} exited with code ${info.exit_code}${info.oom_killed ? ' (OOM killed)' : ''}`);
+            return info;
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+            await this.removeContainer(name);
+        }
+    }
+
+    /**
+     * Split the attached stream into stdout/stderr lines
+     */
+    forwardOutput(container, stream, onLine) {
+        if (!onLine) {
+            stream.resume();
+            return;
+        }
+
+        const stdout = new PassThrough();
+        const stderr = new PassThrough();
+        container.modem.demuxStream(stream, stdout, stderr);
+        stream.on('end', () => {
+            stdout.end();
+            stderr.end();
+        });
+
+        this.forwardLines(stdout, line => onLine('stdout', line));
+        this.forwardLines(stderr, line => onLine('stderr', line));
+    }
+
+    /**
+     * Call onLine for every complete line of a stream
+     */
+    forwardLines(stream, onLine) {
+        let buffered = '';
+        stream.on('data', chunk => {
+            buffered += chunk.toString();
+            const lines = buffered.split('\n');
+            buffered = lines.pop();
+            lines.filter(line => line.trim()).forEach(onLine);
+        });
+        stream.on('end', () => {
+            if (buffered.trim()) onLine(buffered);
+        });
+    }
+
+    /**
+     * Stop a container by name (e.g. from another code path than run())
+     */
+    async stop(name) {
+        await this.stopContainer(this.docker.getContainer(name), name);
+    }
+
+    async stopContainer(container, name) {
+        try {
+            await container.stop({ t: STOP_TIMEOUT_SECONDS });
+            logger.info(`Stopped container ${name}`);
+        } catch (error) {
+            // 304: already stopped, 404: already gone
+            if (![304, 404].includes(error.statusCode)) {
+                logger.warn(`Failed to stop container ${name}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Remove a container if it exists
+     */
+    async removeContainer(name) {
+        try {
+            await this.docker.getContainer(name).remove({ force: true });
+        } catch (error) {
+            if (error.statusCode !== 404) {
+                logger.warn(`Failed to remove container ${name}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Pull an image and wait for the pull to finish
+     */
+    async pullImage(image) {
+        logger.info(`Pulling image ${image}`);
+        const stream = await this.docker.pull(image);
+
+        await new Promise((resolve, reject) => {
+            this.docker.modem.followProgress(stream, (error) => error ? reject(error) : resolve());
+        });
+    }
+}
+
+module.exports = new ContainerRunner();
@@ -1,7 +1,32 @@
 const Business = require('../models/Business');
 const GooglePlaceRaw = require('../models/GooglePlaceRaw');
 const ScraperRaw = require('../models/ScraperRaw');
+const RejectedRecord = require('../models/RejectedRecord');
+const QuarantinedRecord = require('../models/QuarantinedRecord');
 const logger = require('../utils/logger');
+const jobEvents = require('./jobEvents');
+const outputValidator = require('./outputValidator');
+
+// Records read, stored and upserted together (bounds memory and Mongo round trips)
+const BATCH_SIZE = 250;
+
+// Per-business entries kept in a diff summary (counts are always complete)
+const DIFF_SAMPLE_LIMIT = 200;
+
+// Docker scraper queries are written as "<query> #!# q<index>" and come back as input_id
+const SCRAPER_QUERY_ID = /^q(\d+)$/;
+
+// Bucket for records that cannot be traced back to a single query
+const UNATTRIBUTED_QUERY = '_unattributed';
+
+// Skip reasons that mean the filter rejected the record (see RejectedRecord)
+const REJECTION_REASONS = ['missing_place_id', 'no_contact_info'];
+
+// Rejected records are written in batches of this size
+const REJECTION_BATCH = 500;
+
+// Skip reason for records that failed schema validation (see QuarantinedRecord)
+const QUARANTINE_REASON = 'schema_invalid';
 
 
 class DeduplicatorService {
@@ -12,85 +37,541 @@ class DeduplicatorService {
      * @param {string} jobId - Job ID
      * @param {string} sourceType - 'google_places' | 'scraper'
      * @param {string} createdBy - User ID who created the job
-     * @returns {Promise<Object>} - Stats about new/updated records
+     * @param {Object} options - See processRecords
+     * @param {Array} options.rawIds - Already stored raw docs (replay), parallel to businesses
+     * @param {Array<string>} options.sourceQueries - Known query per business (replay), parallel to businesses
+     * @returns {Promise<Object>} - Stats about new/updated records, overall and per query
+     */
+    async processBusinesses(businesses, sourceQuery = '', jobId, sourceType = 'scraper', createdBy = null, options = {}) {
+        const entries = businesses.map((business, index) => ({
+            business,
+            rawId: options.rawIds ? options.rawIds[index] : null,
+            query: options.sourceQueries ? options.sourceQueries[index] : null
+        }));
+
+        return this.processRecords(entries, sourceQuery, jobId, sourceType, createdBy, {
+            ...options,
+            expectedTotal: businesses.length
+        });
+    }
+
+    /**
+     * Process a (possibly streamed) sequence of records in bounded batches
+     * Each batch stores its raw docs with one insert and its businesses with one bulkWrite.
+     * @param {Iterable|AsyncIterable} entries - { business, rawId?, query? } (rawId/query set on replays)
+     * @param {string} sourceQuery - Fallback query for records that cannot be attributed
+     * @param {string} jobId - Job ID
+     * @param {string} sourceType - 'google_places' | 'scraper'
+     * @param {string} createdBy - User ID who created the job
+     * @param {Object} options
+     * @param {boolean} options.collectDiff - Record which businesses gained or changed fields
+     * @param {Array<string>} options.queries - Job queries, to attribute records to the query that found them
+     * @param {number} options.expectedTotal - Record count when known upfront (progress events)
+     * @returns {Promise<Object>} - Stats overall, per query, filtration and throughput
      */
-    async processBusinesses(businesses, sourceQuery = '', jobId, sourceType = 'scraper', createdBy = null) {
+    async processRecords(entries, sourceQuery = '', jobId, sourceType = 'scraper', createdBy = null, options = {}) {
         const stats = {
-            total: businesses.length,
+            total: 0,
             new: 0,
             updated: 0,
             skipped: 0,
-            errors: 0
+            errors: 0,
+            passed: 0, // Made it past the contact filter
+            skip_reasons: {},
+            by_query: {}
+        };
+
+        const context = {
+            stats,
+            jobId,
+            sourceType,
+            sourceQuery,
+            createdBy,
+            queries: options.queries || [],
+            rejected: [],
+            validation: outputValidator.createRun(sourceType),
+            diff: options.collectDiff
+                ? {
+                    counts: { new_businesses: 0, changed_businesses: 0 },
+                    field_counts: {},
+                    new_businesses: [],
+                    changed_businesses: []
+                }
+                : null
+        };
+
+        const throughput = { batches: 0, started: Date.now(), peak_rss: process.memoryUsage().rss };
+
+        logger.info(`Processing businesses from ${sourceType} (Job: ${jobId})`);
+
+        let batch = [];
+        const flush = async () => {
+            if (batch.length === 0) return;
+
+            await this.processBatch(batch, context);
+            batch = [];
+
+            throughput.batches++;
+            throughput.peak_rss = Math.max(throughput.peak_rss, process.memoryUsage().rss);
+
+            jobEvents.publish(jobId, 'dedup_progress', {
+                processed: stats.total,
+                total: options.expectedTotal || null, // Unknown while streaming a file
+                new: stats.new,
+                updated: stats.updated,
+                skipped: stats.skipped,
+                errors: stats.errors
+            });
+        };
+
+        for await (const entry of entries) {
+            batch.push(entry);
+            if (batch.length >= BATCH_SIZE) await flush();
+        }
+        await flush();
+
+        await this.saveRejections(context.rejected);
+        stats.filtration = this.buildFiltrationStats(stats);
+
+        if (context.validation) {
+            const report = outputValidator.buildReport(context.validation);
+            stats.schema_reports = [report];
+            if (report.drift) {
+                logger.warn(`Output of ${sourceType} has drifted from schema v${report.schema_version} (Job: ${jobId})`, {
+                    unknown_fields: report.unknown_fields.map(f => f.field),
+                    missing_fields: report.missing_fields.map(f => f.field),
+                    type_mismatches: report.type_mismatches.map(f => f.field)
+                });
+            }
+        }
+
+        const durationMs = Date.now() - throughput.started;
+        stats.throughput = {
+            records: stats.total,
+            batches: throughput.batches,
+            duration_ms: durationMs,
+            records_per_second: durationMs > 0 ? Math.round(stats.total / (durationMs / 1000)) : stats.total,
+            peak_rss_mb: Math.round(throughput.peak_rss / (1024 * 1024))
         };
 
-        logger.info(`Processing ${businesses.length} businesses from ${sourceType} (Job: ${jobId})`);
+        logger.info('Deduplication/Merge complete', {
+            total: stats.total,
+            new: stats.new,
+            updated: stats.updated,
+            skipped: stats.skipped,
+            errors: stats.errors,
+            skip_reasons: stats.skip_reasons,
+            records_per_second: stats.throughput.records_per_second
+        });
+
+        if (context.diff) {
+            stats.diff = context.diff;
+        }
+        return stats;
+    }
+
+    /**
+     * Store, filter and upsert one batch of records
+     * Counters are only bumped once the write they describe has succeeded.
+     */
+    async processBatch(entries, context) {
+        const { stats, sourceType, sourceQuery, queries, diff } = context;
+
+        entries.forEach(entry => {
+            entry.replay = !!entry.rawId; // Raw document already stored
+            entry.query = entry.query || this.resolveSourceQuery(entry.business, queries);
+            entry.label = entry.query || UNATTRIBUTED_QUERY;
+            stats.total++;
+            this.queryEntry(stats, entry.label).raw_hits++;
+        });
+
+        // 1. Validate against the provider's output schema
+        this.validateBatch(entries, context);
+
+        // 2. Save Raw Data, malformed records included (replays reuse the stored document)
+        await this.saveRawBatch(entries.filter(entry => !entry.rawId), context);
 
-        // Collect IDs for bulk queuing
-        const processedIds = [];
+        // 3. Quarantine malformed records, linked to their raw document
+        const valid = await this.quarantineInvalid(entries, context);
 
-        for (const business of businesses) {
+        // 4. Filter
+        const candidates = [];
+        for (const entry of valid) {
+            const { placeId, normalized, rejection } = this.prepareRecord(entry.business, sourceType);
+
+            if (rejection) {
+                if (rejection === 'no_contact_info') {
+                    logger.info(`Skipping business "${normalized.name}" - No contact information (phone, website, or email)`);
+                }
+                this.countSkip(stats, rejection, entry.label);
+                await this.queueRejection(context, entry, rejection);
+                continue;
+            }
+
+            this.count(stats, entry.label, 'passed');
+            candidates.push({ ...entry, placeId, normalized });
+        }
+
+        if (candidates.length === 0) return;
+
+        // 5. Merge into existing / new businesses (in memory, in record order)
+        let docs;
+        try {
+            const existing = await Business.find({ place_id: { $in: [...new Set(candidates.map(c => c.placeId))] } });
+            docs = new Map(existing.map(doc => [doc.place_id, doc]));
+        } catch (error) {
+            logger.error(`Failed to load businesses for batch: ${error.message}`);
+            candidates.forEach(c => this.count(stats, c.label, 'errors'));
+            return;
+        }
+
+        const touched = new Map(); // place_id -> { doc, effects }, effects keep their record for saveBusinesses
+        for (const c of candidates) {
+            const source = c.query || sourceQuery;
+            let doc = docs.get(c.placeId);
+            let effect = null;
+
+            if (doc) {
+                const { updated, changedFields } = this.mergeBusiness(doc, c.normalized, sourceType, c.rawId);
+                if (updated) {
+                    effect = {
+                        key: 'updated',
+                        diffList: changedFields.length > 0 ? 'changed_businesses' : null,
+                        diffEntry: { place_id: c.placeId, name: doc.name, fields: changedFields }
+                    };
+                } else {
+                    this.countSkip(stats, 'no_changes', c.label);
+                }
+            } else {
+                doc = new Business(this.buildNewBusiness(c.normalized, sourceType, c.rawId, context.createdBy));
+                docs.set(c.placeId, doc);
+                effect = { key: 'new', diffList: 'new_businesses', diffEntry: { place_id: c.placeId, name: c.normalized.name } };
+            }
+
+            if (effect) {
+                if (!touched.has(c.placeId)) touched.set(c.placeId, { doc, effects: [] });
+                touched.get(c.placeId).effects.push({ ...effect, label: c.label, source, record: c });
+            }
+        }
+
+        // 6. Write (one bulkWrite, one save per doc to isolate failures)
+        const saved = await this.saveBusinesses([...touched.values()], sourceType);
+
+        touched.forEach((entry) => {
+            const ok = saved.has(entry);
+            entry.effects.forEach(effect => {
+                if (!ok) {
+                    this.count(stats, effect.label, 'errors');
+                    return;
+                }
+                if (effect.key === 'no_changes') {
+                    this.countSkip(stats, 'no_changes', effect.label);
+                    return;
+                }
+                this.count(stats, effect.label, effect.key);
+                if (diff && effect.diffList) {
+                    this.recordDiff(diff, effect.diffList, effect.diffEntry);
+                }
+            });
+        });
+    }
+
+    /**
+     * Check a batch against the provider's output schema, sets entry.validationErrors
+     */
+    validateBatch(entries, context) {
+        if (!context.validation) return;
+        entries.forEach(entry => {
+            entry.validationErrors = outputValidator.validate(context.validation, entry.business);
+        });
+    }
+
+    /**
+     * Quarantine the entries validateBatch found malformed
+     * Their raw documents are kept (flagged), so a reprocess after a schema
+     * change can still ingest them.
+     * @returns {Promise<Array>} - Entries that passed
+     */
+    async quarantineInvalid(entries, context) {
+        const { validation, stats } = context;
+        if (!validation) return entries;
+
+        const valid = [];
+        const quarantined = [];
+        const replays = { quarantined: [], valid: [] };
+        entries.forEach(entry => {
+            const invalid = entry.validationErrors.length > 0;
+            if (entry.replay) replays[invalid ? 'quarantined' : 'valid'].push(entry.rawId);
+            if (!invalid) {
+                valid.push(entry);
+                return;
+            }
+
+            this.countSkip(stats, QUARANTINE_REASON, entry.label);
+            quarantined.push({
+                job_id: context.jobId,
+                provider: context.sourceType,
+                schema_version: validation.schema.version,
+                validation_errors: entry.validationErrors,
+                data: entry.business,
+                raw_id: entry.rawId || undefined,
+                source_query: entry.query || context.sourceQuery
+            });
+        });
+
+        if (quarantined.length > 0) {
+            logger.warn(`Quarantined ${quarantined.length} malformed record(s) (Job: ${context.jobId})`);
             try {
-                // 1. Save Raw Data
-                const rawId = await this.saveRawData(business, sourceType, jobId, sourceQuery);
+                await QuarantinedRecord.insertMany(quarantined, { ordered: false });
+            } catch (error) {
+                logger.error(`Failed to save quarantined records: ${error.message}`);
+            }
+        }
 
-                // 2. Upsert into Unified Model
-                const businessId = await this.upsertBusiness(business, sourceQuery, stats, sourceType, rawId, createdBy);
+        // Replayed raw documents take the flag of the schema they were checked against now
+        try {
+            const Model = this.rawModel(context.sourceType);
+            if (replays.quarantined.length > 0) {
+                await Model.updateMany({ _id: { $in: replays.quarantined } }, { $set: { quarantined: true } });
+            }
+            if (replays.valid.length > 0) {
+                await Model.updateMany({ _id: { $in: replays.valid }, quarantined: true }, { $unset: { quarantined: '' } });
+            }
+        } catch (error) {
+            logger.error(`Failed to flag quarantined raw data: ${error.message}`);
+        }
+        return valid;
+    }
+
+    /**
+     * Save new and modified businesses, returns the touched entries that were written
+     */
+    async saveBusinesses(entries, sourceType) {
+        if (entries.length === 0) return new Set();
 
-                if (businessId) {
-                    processedIds.push({ _id: businessId });
+        try {
+            await Business.bulkSave(entries.map(entry => entry.doc));
+            return new Set(entries);
+        } catch (error) {
+            logger.warn(`Bulk business write failed (${error.message}), saving one by one`);
+        }
+
+        const saved = new Set();
+        for (const entry of entries) {
+            const { doc } = entry;
+            try {
+                // Part of the bulk write may have gone through already
+                if (doc.isNew && await Business.exists({ _id: doc._id })) {
+                    saved.add(entry);
+                    continue;
                 }
+                await doc.save();
+                saved.add(entry);
             } catch (error) {
+                // Another job inserted the same place_id meanwhile: merge into its business instead
+                if (error.code === 11000 && doc.isNew && await this.mergeIntoExisting(entry, sourceType)) {
+                    saved.add(entry);
+                    continue;
+                }
                 logger.error(`Error processing business: ${error.message}`, {
-                    business: business.title || business.name,
-                    place_id: business.place_id
+                    business: doc.name,
+                    place_id: doc.place_id
                 });
-                stats.errors++;
             }
         }
+        return saved;
+    }
+
+    /**
+     * Re-run the merges of a business that lost an insert race onto the stored one
+     * Replaces entry.doc and entry.effects ('new' becomes 'updated' or 'no_changes').
+     * @returns {Promise<boolean>} - Whether the stored business was found and saved
+     */
+    async mergeIntoExisting(entry, sourceType) {
+        try {
+            const existing = await Business.findOne({ place_id: entry.doc.place_id });
+            if (!existing) return false;
+
+            const effects = entry.effects.map(effect => {
+                const { normalized, rawId } = effect.record;
+                const { updated, changedFields } = this.mergeBusiness(existing, normalized, sourceType, rawId);
+                if (!updated) return { ...effect, key: 'no_changes', diffList: null };
+                return {
+                    ...effect,
+                    key: 'updated',
+                    diffList: changedFields.length > 0 ? 'changed_businesses' : null,
+                    diffEntry: { place_id: existing.place_id, name: existing.name, fields: changedFields }
+                };
+            });
+
+            await existing.save();
+            entry.doc = existing;
+            entry.effects = effects;
+            return true;
+        } catch (error) {
+            logger.error(`Failed to merge into existing business ${entry.doc.place_id}: ${error.message}`);
+            return false;
+        }
+    }
 
+    /**
+     * Find the job query a record came from
+     * Places records carry source_query, scraper records echo the id we wrote
+     * next to each query as input_id.
+     * @returns {string|null}
+     */
+    resolveSourceQuery(business, queries = []) {
+        if (business.source_query) return business.source_query;
 
+        const match = SCRAPER_QUERY_ID.exec(business.input_id || '');
+        if (match && queries && queries[parseInt(match[1])]) {
+            return queries[parseInt(match[1])];
+        }
 
-        logger.info('Deduplication/Merge complete', stats);
-        return stats;
+        // Single-query jobs need no lookup
+        return queries && queries.length === 1 ? queries[0] : null;
     }
 
     /**
-     * Save raw data to respective collection
+     * Per-query breakdown entry (created on first use)
      */
-    async saveRawData(data, sourceType, jobId, sourceQuery) {
+    queryEntry(stats, query) {
+        if (!stats.by_query[query]) {
+            stats.by_query[query] = { raw_hits: 0, new: 0, updated: 0, skipped: 0, errors: 0, passed: 0, skip_reasons: {} };
+        }
+        return stats.by_query[query];
+    }
+
+    /**
+     * Bump a counter overall and for the record's query
+     */
+    count(stats, query, key) {
+        stats[key] = (stats[key] || 0) + 1;
+        if (stats.by_query && query) {
+            this.queryEntry(stats, query)[key]++;
+        }
+    }
+
+    /**
+     * Job.filtration_stats from the run's counters
+     * processed = records that reached the filter, failed = rejected by it
+     */
+    buildFiltrationStats(stats) {
+        const reasons = {};
+        REJECTION_REASONS.forEach(reason => {
+            if (stats.skip_reasons[reason]) reasons[reason] = stats.skip_reasons[reason];
+        });
+        const failed = Object.values(reasons).reduce((sum, count) => sum + count, 0);
+
+        return {
+            processed: stats.passed + failed,
+            passed: stats.passed,
+            failed,
+            reasons
+        };
+    }
+
+    /**
+     * Remember a rejected record, written in batches
+     */
+    async queueRejection(context, entry, reason) {
+        const { business } = entry;
+        context.rejected.push({
+            job_id: context.jobId,
+            reason,
+            raw_id: entry.rawId,
+            raw_model: context.sourceType === 'google_places' ? 'GooglePlaceRaw' : 'ScraperRaw',
+            place_id: business.place_id || business.cid,
+            name: business.title || business.name || business.displayName?.text,
+            source_query: entry.query || context.sourceQuery
+        });
+
+        if (context.rejected.length >= REJECTION_BATCH) {
+            await this.saveRejections(context.rejected.splice(0));
+        }
+    }
+
+    /**
+     * Store rejected records so they can be reviewed per job
+     */
+    async saveRejections(records) {
+        if (records.length === 0) return;
         try {
-            const placeId = data.place_id || data.cid; // Scraper might use cid
-            if (!placeId) return null;
-
-            const payload = {
-                job_id: jobId,
-                place_id: placeId,
-                data: data,
-                source_query: sourceQuery
-            };
-
-            let rawDoc;
-            if (sourceType === 'google_places') {
-                rawDoc = await GooglePlaceRaw.create(payload);
-            } else {
-                rawDoc = await ScraperRaw.create(payload);
-            }
-            return rawDoc._id;
+            await RejectedRecord.insertMany(records, { ordered: false });
+        } catch (error) {
+            logger.error(`Failed to save rejected records: ${error.message}`);
+        }
+    }
+
+    /**
+     * Count a skipped business under a reason code
+     */
+    countSkip(stats, reason, query = null) {
+        this.count(stats, query, 'skipped');
+        if (!stats.skip_reasons) stats.skip_reasons = {};
+        stats.skip_reasons[reason] = (stats.skip_reasons[reason] || 0) + 1;
+
+        if (stats.by_query && query) {
+            const reasons = this.queryEntry(stats, query).skip_reasons;
+            reasons[reason] = (reasons[reason] || 0) + 1;
+        }
+    }
+
+    rawModel(sourceType) {
+        return sourceType === 'google_places' ? GooglePlaceRaw : ScraperRaw;
+    }
+
+    /**
+     * Raw document for a record
+     * @param {Array<string>} validationErrors - Schema errors, a non-empty list flags it quarantined
+     */
+    buildRawDoc(data, jobId, sourceQuery, validationErrors = []) {
+        const doc = {
+            job_id: jobId,
+            place_id: data.place_id || data.cid, // Scraper might use cid
+            data: data,
+            source_query: sourceQuery
+        };
+        if (validationErrors && validationErrors.length > 0) doc.quarantined = true;
+        return doc;
+    }
+
+    /**
+     * Save the raw docs of a batch with one insert, sets entry.rawId
+     */
+    async saveRawBatch(entries, context) {
+        if (entries.length === 0) return;
+
+        const Model = this.rawModel(context.sourceType);
+        const docs = entries.map(entry => new Model(
+            this.buildRawDoc(entry.business, context.jobId, entry.query || context.sourceQuery, entry.validationErrors)
+        ));
+        entries.forEach((entry, index) => { entry.rawId = docs[index]._id; });
+
+        try {
+            await Model.insertMany(docs, { ordered: false });
         } catch (error) {
             logger.error(`Failed to save raw data: ${error.message}`);
-            return null;
+
+            // Drop links to the docs that were not written
+            const failed = (error.writeErrors || []).map(writeError => writeError.index);
+            if (failed.length === 0) {
+                entries.forEach(entry => { entry.rawId = null; });
+            } else {
+                failed.forEach(index => { entries[index].rawId = null; });
+            }
         }
     }
 
     /**
-     * Upsert a single business (Smart Merge)
+     * Normalize a record and apply the filter
+     * @returns {Object} - { placeId, normalized, rejection } (rejection is a reason code or null)
      */
-    async upsertBusiness(business, sourceQuery, stats, sourceType, rawId, createdBy) {
+    prepareRecord(business, sourceType) {
         const placeId = business.place_id || business.cid;
 
         if (!placeId) {
-            stats.skipped++;
-            return;
+            return { placeId, normalized: {}, rejection: 'missing_place_id' };
         }
 
         // Normalize New Data
@@ -102,94 +583,158 @@ class DeduplicatorService {
         const hasEmail = normalized.emails && normalized.emails.length > 0;
 
         if (!hasPhone && !hasWebsite && !hasEmail) {
-            logger.info(`Skipping business "${normalized.name}" - No contact information (phone, website, or email)`);
-            stats.skipped++;
-            return;
+            return { placeId, normalized, rejection: 'no_contact_info' };
         }
 
-        // Find Existing
-        let existing = await Business.findOne({ place_id: placeId });
-
-        if (existing) {
-            // MERGE: Update missing info or override specific fields
-            let updated = false;
-
-            // Update standard fields if missing in DB OR if source provides better data (logic can be refined)
-            // For now, simple "Update if missing or empty" + "Concat Arrays" strategy
-
-            // 1. Basic Fields (Strings) - Update if missing
-            ['phone', 'website', 'address', 'city', 'state', 'zip', 'country', 'latitude', 'longitude', 'category'].forEach(field => {
-                if (!existing[field] && normalized[field]) {
-                    existing[field] = normalized[field];
-                    updated = true;
-                }
-            });
+        return { placeId, normalized, rejection: null };
+    }
 
-            // Fix empty status field (scraper bug)
-            if (!existing.status || existing.status === '') {
-                existing.status = 'new';
+    /**
+     * Merge a normalized record into an existing business document (not saved)
+     * @returns {Object} - { updated, changedFields }
+     */
+    mergeBusiness(existing, normalized, sourceType, rawId) {
+        // MERGE: Update missing info or override specific fields
+        let updated = false;
+        const changedFields = []; // Data fields only, lineage is not a change
+
+        // Update standard fields if missing in DB OR if source provides better data (logic can be refined)
+        // For now, simple "Update if missing or empty" + "Concat Arrays" strategy
+
+        // 1. Basic Fields (Strings) - Update if missing
+        ['phone', 'website', 'address', 'city', 'state', 'zip', 'country', 'latitude', 'longitude', 'category'].forEach(field => {
+            if (!existing[field] && normalized[field]) {
+                existing[field] = normalized[field];
+                changedFields.push(field);
                 updated = true;
             }
+        });
 
-            // 2. Arrays (Emails, Images) - Union
-            if (normalized.emails && normalized.emails.length > 0) {
-                const combined = new Set([...(existing.emails || []), ...normalized.emails]);
-                if (combined.size > (existing.emails || []).length) {
-                    existing.emails = Array.from(combined);
-                    updated = true;
-                }
+        // Fix empty status field (scraper bug)
+        if (!existing.status || existing.status === '') {
+            existing.status = 'new';
+            updated = true;
+        }
+
+        // 2. Arrays (Emails, Images) - Union
+        if (normalized.emails && normalized.emails.length > 0) {
+            const combined = new Set([...(existing.emails || []), ...normalized.emails]);
+            if (combined.size > (existing.emails || []).length) {
+                existing.emails = Array.from(combined);
+                changedFields.push('emails');
+                updated = true;
             }
-            // Images - Union
-            if (normalized.images && normalized.images.length > 0) {
-                const combined = new Set([...(existing.images || []), ...normalized.images]);
-                if (combined.size > (existing.images || []).length) {
-                    existing.images = Array.from(combined);
-                    updated = true;
-                }
+        }
+        // Images - Union
+        if (normalized.images && normalized.images.length > 0) {
+            const combined = new Set([...(existing.images || []), ...normalized.images]);
+            if (combined.size > (existing.images || []).length) {
+                existing.images = Array.from(combined);
+                changedFields.push('images');
+                updated = true;
             }
+        }
 
-            // 3. Lineage - Add Source if new
-            const hasSource = existing.sources.some(s => s.type === sourceType);
-            if (!hasSource) {
-                existing.sources.push({ type: sourceType });
-                updated = true;
+        // 3. Lineage - Add Source if new
+        const hasSource = existing.sources.some(s => s.type === sourceType);
+        if (!hasSource) {
+            existing.sources.push({ type: sourceType });
+            updated = true;
+        }
+
+        // 4. Raw References - Add always for audit (once per raw doc, replays reuse them)
+        if (rawId && !existing.raw_references.some(r => r.raw_id && r.raw_id.equals(rawId))) {
+            existing.raw_references.push({ source: sourceType, raw_id: rawId });
+            updated = true;
+        }
+
+        if (updated) {
+            existing.last_updated = new Date();
+        }
+
+        return { updated, changedFields };
+    }
+
+    /**
+     * Fields of a new business document
+     */
+    buildNewBusiness(normalized, sourceType, rawId, createdBy) {
+        const doc = { ...normalized };
+
+        // INSERT - Set status explicitly to override any empty value from scraper
+        if (!doc.status || doc.status === '') {
+            doc.status = 'new';
+        }
+        doc.sources = [{ type: sourceType }];
+        if (rawId) {
+            doc.raw_references = [{ source: sourceType, raw_id: rawId }];
+        }
+        doc.first_seen = new Date();
+
+        // Set ownership
+        if (createdBy) {
+            doc.createdBy = createdBy;
+        }
+
+        return doc;
+    }
+
+    /**
+     * Upsert a single business (Smart Merge)
+     * Used by maintenance scripts; jobs go through processRecords.
+     */
+    async upsertBusiness(business, sourceQuery, stats, sourceType, rawId, createdBy, diff = null) {
+        const { placeId, normalized, rejection } = this.prepareRecord(business, sourceType);
+
+        if (rejection) {
+            if (rejection === 'no_contact_info') {
+                logger.info(`Skipping business "${normalized.name}" - No contact information (phone, website, or email)`);
             }
+            this.countSkip(stats, rejection);
+            return;
+        }
 
-            // 4. Raw References - Add always for audit
-            if (rawId) {
-                existing.raw_references.push({ source: sourceType, raw_id: rawId });
-                updated = true;
+        stats.passed = (stats.passed || 0) + 1;
+
+        // Find Existing
+        const existing = await Business.findOne({ place_id: placeId });
+
+        if (existing) {
+            const { updated, changedFields } = this.mergeBusiness(existing, normalized, sourceType, rawId);
+
+            if (diff && changedFields.length > 0) {
+                this.recordDiff(diff, 'changed_businesses', { place_id: placeId, name: existing.name, fields: changedFields });
             }
 
             if (updated) {
-                existing.last_updated = new Date();
                 await existing.save();
                 stats.updated++;
-                return existing._id;
             } else {
-                stats.skipped++;
-                return existing._id; // Still return ID to trigger re-filtration if needed
+                this.countSkip(stats, 'no_changes');
             }
+            return existing._id; // Still return ID to trigger re-filtration if needed
+        }
 
-        } else {
-            // INSERT - Set status explicitly to override any empty value from scraper
-            if (!normalized.status || normalized.status === '') {
-                normalized.status = 'new';
-            }
-            normalized.sources = [{ type: sourceType }];
-            if (rawId) {
-                normalized.raw_references = [{ source: sourceType, raw_id: rawId }];
-            }
-            normalized.first_seen = new Date();
+        const newDoc = await Business.create(this.buildNewBusiness(normalized, sourceType, rawId, createdBy));
+        stats.new++;
 
-            // Set ownership
-            if (createdBy) {
-                normalized.createdBy = createdBy;
-            }
+        if (diff) {
+            this.recordDiff(diff, 'new_businesses', { place_id: placeId, name: normalized.name });
+        }
+        return newDoc._id;
+    }
+
+    /**
+     * Add an entry to a diff summary, keeping field counts complete
+     */
+    recordDiff(diff, list, entry) {
+        diff.counts[list]++;
+        (entry.fields || []).forEach(field => {
+            diff.field_counts[field] = (diff.field_counts[field] || 0) + 1;
+        });
 
-            const newDoc = await Business.create(normalized);
-            stats.new++;
-            return newDoc._id;
+        if (diff[list].length < DIFF_SAMPLE_LIMIT) {
+            diff[list].push(entry);
         }
     }
 
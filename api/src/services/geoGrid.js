@@ -0,0 +1,219 @@
+const logger = require('../utils/logger');
+const jobEvents = require('./jobEvents');
+
+const KM_PER_DEGREE_LAT = 111.32;
+
+// Width of the scraper's browser viewport, in 256px map tiles
+const VIEWPORT_TILES = 1920 / 256;
+const EARTH_CIRCUMFERENCE_KM = 40075;
+
+const DEFAULTS = {
+    cells: 3, // Initial grid is cells x cells
+    max_depth: 2, // Times a dense cell may be split into 4
+    max_cells: 64 // Hard cap on cells searched per query (cost guard)
+};
+
+/**
+ * Geo-grid query expansion for dense areas
+ * A bounding box (or center + radius) is split into cells that are searched
+ * one by one. Cells that come back saturated are split into 4 and searched
+ * again; sparse cells are left alone.
+ */
+class GeoGridService {
+    /**
+     * Validate a geo_grid option from startScrape / schedules
+     * @param {Object} raw - { bounds: { north, south, east, west } } or { center: { lat, lng }, radius_km },
+     *                       plus optional cells, max_depth, max_cells, min_yield
+     * @returns {Object|null} - Normalized grid config, null when not set
+     * @throws {Error} - Message suitable for a 400 response
+     */
+    normalize(raw) {
+        if (!raw) return null;
+        if (typeof raw !== 'object') throw new Error('geo_grid must be an object');
+
+        let bounds;
+        if (raw.bounds) {
+            const { north, south, east, west } = raw.bounds;
+            bounds = {
+                north: parseFloat(north),
+                south: parseFloat(south),
+                east: parseFloat(east),
+                west: parseFloat(west)
+            };
+        } else if (raw.center && raw.radius_km) {
+            const lat = parseFloat(raw.center.lat);
+            const lng = parseFloat(raw.center.lng);
+            const radius = parseFloat(raw.radius_km);
+            if (!Number.isFinite(lat) || !Number.isFinite(lng) || !(radius > 0)) {
+                throw new Error('geo_grid center needs numeric lat/lng and a positive radius_km');
+            }
+
+            const latDelta = radius / KM_PER_DEGREE_LAT;
+            const lngDelta = radius / (KM_PER_DEGREE_LAT * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+            bounds = { north: lat + latDelta, south: lat - latDelta, east: lng + lngDelta, west: lng - lngDelta };
+        } else {
+            throw new Error('geo_grid needs bounds { north, south, east, west } or center { lat, lng } with radius_km');
+        }
+
+        const { north, south, east, west } = bounds;
+        if (![north, south, east, west].every(Number.isFinite)) {
+            throw new Error('geo_grid bounds must be numbers');
+        }
+        if (north <= south || east <= west) {
+            throw new Error('geo_grid bounds must have north > south and east > west');
+        }
+
+        bounds.north = Math.min(north, 90);
+        bounds.south = Math.max(south, -90);
+
+        const grid = {
+            bounds,
+            cells: this.toInt(raw.cells, DEFAULTS.cells, 1, 10),
+            max_depth: this.toInt(raw.max_depth, DEFAULTS.max_depth, 0, 5),
+            max_cells: this.toInt(raw.max_cells, DEFAULTS.max_cells, 1, 1000)
+        };
+
+        // Subdivide cells with at least this many results (default: cells that hit the provider cap)
+        if (raw.min_yield !== undefined && raw.min_yield !== null && raw.min_yield !== '') {
+            grid.min_yield = this.toInt(raw.min_yield, 1, 1, 100000);
+        }
+
+        return grid;
+    }
+
+    toInt(value, fallback, min, max) {
+        const parsed = parseInt(value);
+        if (!Number.isFinite(parsed)) return fallback;
+        return Math.min(Math.max(parsed, min), max);
+    }
+
+    /**
+     * Top-level cells, row by row from the north-west corner
+     */
+    initialCells(grid) {
+        const { north, south, east, west } = grid.bounds;
+        const latStep = (north - south) / grid.cells;
+        const lngStep = (east - west) / grid.cells;
+
+        const cells = [];
+        for (let row = 0; row < grid.cells; row++) {
+            for (let col = 0; col < grid.cells; col++) {
+                cells.push({
+                    id: `r${row}c${col}`,
+                    depth: 0,
+                    bounds: {
+                        north: north - row * latStep,
+                        south: north - (row + 1) * latStep,
+                        west: west + col * lngStep,
+                        east: west + (col + 1) * lngStep
+                    }
+                });
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Split a cell into quarters (ids: <parent>.0 .. <parent>.3)
+     */
+    subdivide(cell) {
+        const { north, south, east, west } = cell.bounds;
+        const midLat = (north + south) / 2;
+        const midLng = (east + west) / 2;
+
+        return [
+            { north, south: midLat, west, east: midLng },
+            { north, south: midLat, west: midLng, east },
+            { north: midLat, south, west, east: midLng },
+            { north: midLat, south, west: midLng, east }
+        ].map((bounds, index) => ({ id: `${cell.id}.${index}`, depth: cell.depth + 1, bounds }));
+    }
+
+    center(cell) {
+        const { north, south, east, west } = cell.bounds;
+        return { lat: (north + south) / 2, lng: (east + west) / 2 };
+    }
+
+    /**
+     * Map zoom at which the cell's width fills the scraper viewport
+     */
+    zoomFor(cell) {
+        const { lat } = this.center(cell);
+        const widthKm = (cell.bounds.east - cell.bounds.west) * KM_PER_DEGREE_LAT * Math.cos(lat * Math.PI / 180);
+        const zoom = Math.log2((VIEWPORT_TILES * EARTH_CIRCUMFERENCE_KM * Math.cos(lat * Math.PI / 180)) / Math.max(widthKm, 0.01));
+        return Math.min(Math.max(Math.round(zoom), 3), 21);
+    }
+
+    /**
+     * Most cells a grid can search per query (estimates)
+     */
+    maxCells(grid) {
+        let total = 0;
+        for (let depth = 0; depth <= grid.max_depth; depth++) {
+            total += grid.cells * grid.cells * Math.pow(4, depth);
+        }
+        return Math.min(total, grid.max_cells);
+    }
+
+    /**
+     * Search cells breadth-first, subdividing the dense ones
+     * @param {Object} grid - Normalized grid config
+     * @param {Function} runCell - async (cell) => { results, unique, saturated, status?, error? }
+     * @param {Object} options
+     * @param {string} options.jobId - For progress events
+     * @param {string} options.query - Query the cells belong to (null when a run covers all queries)
+     * @param {AbortSignal} options.signal - Stops before the next cell
+     * @param {Function} options.canContinue - Checked before each cell (e.g. daily API limit)
+     * @returns {Promise<Array>} - Per-cell outcomes (Job.grid_cells)
+     */
+    async explore(grid, runCell, { jobId, query = null, signal = null, canContinue = () => true } = {}) {
+        const queue = this.initialCells(grid);
+        const outcomes = [];
+
+        while (queue.length > 0 && outcomes.length < grid.max_cells) {
+            if (signal && signal.aborted) break;
+            if (!canContinue()) break;
+
+            const cell = queue.shift();
+            const result = await runCell(cell);
+
+            // Sparse cells are final, dense ones are searched again in quarters
+            const dense = grid.min_yield ? result.results >= grid.min_yield : !!result.saturated;
+            const subdivided = dense && result.status !== 'error' && cell.depth < grid.max_depth;
+            if (subdivided) {
+                queue.push(...this.subdivide(cell));
+            }
+
+            const outcome = {
+                query,
+                cell: cell.id,
+                depth: cell.depth,
+                bounds: cell.bounds,
+                status: result.status || (result.results > 0 ? 'success' : 'empty'),
+                results: result.results,
+                unique: result.unique,
+                subdivided,
+                error: result.error
+            };
+            outcomes.push(outcome);
+
+            jobEvents.publish(jobId, 'cell_progress', {
+                query,
+                cell: cell.id,
+                depth: cell.depth,
+                results: result.results,
+                unique: result.unique,
+                subdivided,
+                pending_cells: queue.length
+            });
+        }
+
+        if (queue.length > 0 && outcomes.length >= grid.max_cells) {
+            logger.warn(`Geo grid cell cap (${grid.max_cells}) reached with ${queue.length} cells left (Job: ${jobId})`);
+        }
+
+        return outcomes;
+    }
+}
+
+module.exports = new GeoGridService();
@@ -3,6 +3,21 @@ const path = require('path');
 const os = require('os');
 const logger = require('../utils/logger');
 const Settings = require('../models/Settings');
+const jobEvents = require('./jobEvents');
+const geoGrid = require('./geoGrid');
+const usageLedger = require('./usageLedger');
+const apiKeyPool = require('./apiKeyPool');
+const placesCache = require('./placesCache');
+const nearbySearch = require('./nearbySearch');
+const { PLACES_MAX_PAGES } = require('../config/placesPricing');
+
+// Transient Places errors, retried with backoff (403 is a key problem, rotated in usageLedger.track)
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+const MAX_ATTEMPTS = 4;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30 * 1000;
+// A longer Retry-After gives up on the call (and rotates the key) instead of holding the job
+const MAX_RETRY_AFTER_MS = 60 * 1000;
 
 class GooglePlacesService {
     constructor() {
@@ -15,7 +30,7 @@ class GooglePlacesService {
      */
     async checkLimit() {
         const settings = await Settings.findOne({ key: 'global' });
-        if (!settings || !settings.google_places_config || !settings.google_places_config.api_key) {
+        if (!settings || !apiKeyPool.hasKeys(settings.google_places_config)) {
             return { allowed: false, reason: "No API Key" };
         }
         const gpConfig = settings.google_places_config;
@@ -40,9 +55,11 @@ class GooglePlacesService {
      * @param {Array<string>} queries - List of search queries
      * @param {string} jobId - Unique job identifier
      * @param {Object} config - Job configuration
+     * @param {AbortSignal} signal - Stops pagination when the job is cancelled
+     * @param {string} userId - Job owner, recorded in the usage ledger
      * @returns {Promise<Object>} - Result with local_path
      */
-    async executeScrape(queries, jobId, config = {}) {
+    async executeScrape(queries, jobId, config = {}, signal = null, userId = null) {
         let tempVolumePath = null;
 
         try {
@@ -50,23 +67,18 @@ class GooglePlacesService {
 
             // 1. Check Restrictions & Get Config
             const settings = await Settings.findOne({ key: 'global' });
-            if (!settings || !settings.google_places_config || !settings.google_places_config.api_key) {
+            if (!settings || !apiKeyPool.hasKeys(settings.google_places_config)) {
                 throw new Error('Google Places API not configured or missing API Key');
             }
 
             const gpConfig = settings.google_places_config;
 
-            // Check Daily Limit
+            // Check Daily Limit (fail fast, each call still reserves its own quota)
             const today = new Date();
             const lastReset = new Date(gpConfig.last_reset_date);
             const isSameDay = today.toDateString() === lastReset.toDateString();
 
-            if (!isSameDay) {
-                gpConfig.calls_today = 0;
-                gpConfig.last_reset_date = today;
-            }
-
-            if (gpConfig.calls_today >= gpConfig.daily_limit) {
+            if (isSameDay && gpConfig.calls_today >= gpConfig.daily_limit) {
                 throw new Error(`Daily limit of ${gpConfig.daily_limit} calls reached.`);
             }
 
@@ -77,95 +89,138 @@ class GooglePlacesService {
 
             // 3. fetch places
             const allPlaces = [];
-            const apiKey = gpConfig.api_key;
-            // Determined by job config > settings (basic, contact, atmosphere)
-            const fieldsLevel = config.fields_level || gpConfig.fields_level || 'contact';
-
-            // Calculate remaining allowance
-            let remainingCalls = gpConfig.daily_limit - gpConfig.calls_today;
+            const gridCells = [];
+            const grid = geoGrid.normalize(config.geo_grid);
+            // search_mode 'nearby': one Nearby Search per included type instead of Text Search
+            const nearby = config.search_mode === 'nearby' ? nearbySearch.normalize(config.nearby) : null;
+
+            // Priority: Job Config > Global Settings > Default Safety (1 page)
+            const maxPagesPerQuery = config.max_pages || gpConfig.default_max_pages || 1;
+            const paging = {
+                jobId,
+                userId,
+                // Determined by job config > settings (basic, contact, atmosphere)
+                fieldsLevel: config.fields_level || gpConfig.fields_level || 'contact',
+                // Absolute Cap: 3 pages (Google Limit)
+                maxPages: Math.min(maxPagesPerQuery, PLACES_MAX_PAGES),
+                signal,
+                usage: { calls: 0, limitReached: false },
+                cache: {
+                    ttlMs: (gpConfig.cache_ttl_hours ?? 24) * 60 * 60 * 1000,
+                    skipRead: !!config.skip_cache, // Fetch fresh pages, still refreshing the cache
+                    hits: 0,
+                    misses: 0
+                }
+            };
+            const withinLimit = () => !paging.usage.limitReached;
 
-            // Filter queries to what we CAN potentially start. 
             // Note: Pagination means 1 query might consume 2-3 calls.
-            // We'll check the limit INSIDE the loop strictly.
+            // Quota is reserved before EVERY call inside cachedSearch().
+
+            // Outcome per query so failed ones can be retried on their own.
+            // Queries never reached (limit/cancel) stay 'skipped'.
+            const queryOutcomes = queries
+                .filter(q => q && q.trim())
+                .map(query => ({ query, status: 'skipped', results: 0, pages: 0, cached_pages: 0 }));
+
+            for (const outcome of queryOutcomes) {
+                const query = outcome.query;
+
+                if (signal && signal.aborted) {
+                    logger.warn(`Job ${jobId} cancelled. Stopping Places pagination.`);
+                    break;
+                }
 
-            for (const query of queries) {
                 // Pre-check before starting a new query string
-                if (remainingCalls <= 0) {
+                if (!withinLimit()) {
                     logger.warn(`Daily API limit reached. Stopping job.`);
                     break;
                 }
 
-                if (!query || !query.trim()) continue;
-
                 try {
-                    // Pagination Loop
-                    let nextPageToken = null;
-                    let pageCount = 0;
-
-                    // Priority: Job Config > Global Settings > Default Safety (1 page)
-                    const maxPagesPerQuery = config.max_pages || gpConfig.default_max_pages || 1;
-                    // Absolute Cap: 3 pages (Google Limit)
-                    const effectiveMaxPages = Math.min(maxPagesPerQuery, 3);
-
-                    do {
-                        // Strict check before EVERY API Call (Page 1, 2, 3...)
-                        if (gpConfig.calls_today >= gpConfig.daily_limit) {
-                            logger.warn(`Daily limit reached during pagination (Query: "${query}", Page: ${pageCount + 1}). Stopping.`);
-                            remainingCalls = 0;
-                            break;
-                        }
-
-                        // Execute Request
-                        // Pass nextPageToken if it exists (for pg 2, 3)
-                        const responseData = await this.searchPlaces(query, apiKey, fieldsLevel, nextPageToken);
-
-                        const places = responseData.places || [];
-                        nextPageToken = responseData.nextPageToken; // Update token for next loop
-
-                        // STOP IF NO RESULTS: Don't trust nextPageToken if current page is empty
-                        if (places.length === 0) {
-                            logger.info(`Query "${query}" Page ${pageCount + 1}: returned 0 results. Stopping pagination.`);
-                            break;
+                    if (nearby) {
+                        const places = await this.runNearby(query, outcome, nearby, paging);
+                        allPlaces.push(...places.map(place => ({ query, place })));
+                    } else if (grid) {
+                        // One search per cell, restricted to it; places found by several cells count once
+                        const seen = new Set();
+                        const cells = await geoGrid.explore(grid, async (cell) => {
+                            try {
+                                const result = await this.paginate(query, outcome, {
+                                    ...paging,
+                                    locationRestriction: this.toRectangle(cell.bounds)
+                                });
+
+                                const fresh = result.places.filter(place => !seen.has(place.id));
+                                fresh.forEach(place => seen.add(place.id));
+                                allPlaces.push(...fresh.map(place => ({ query, place })));
+
+                                // More pages were available: the cell holds more than one search returns
+                                return { results: result.places.length, unique: fresh.length, saturated: result.hasMore };
+                            } catch (err) {
+                                logger.error(`Google Places search failed for query "${query}" in cell ${cell.id}: ${err.message}`);
+                                return { results: 0, unique: 0, status: 'error', error: err.message };
+                            }
+                        }, { jobId, query, signal, canContinue: withinLimit });
+
+                        gridCells.push(...cells);
+
+                        const failed = cells.filter(c => c.status === 'error');
+                        if (failed.length > 0 && failed.length === cells.length) {
+                            throw new Error(failed[failed.length - 1].error);
                         }
-
-                        allPlaces.push(...places);
-
-                        // Increment Usage
-                        gpConfig.calls_today++;
-                        remainingCalls--;
-                        pageCount++;
-
-                        // Log progress
-                        logger.info(`Query "${query}" Page ${pageCount}: Found ${places.length} places. (Total Usage: ${gpConfig.calls_today}/${gpConfig.daily_limit})`);
-
-                    } while (nextPageToken && pageCount < effectiveMaxPages && remainingCalls > 0);
+                        outcome.results = seen.size;
+                    } else {
+                        const result = await this.paginate(query, outcome, paging);
+                        allPlaces.push(...result.places.map(place => ({ query, place })));
+                    }
+
+                    if (outcome.results > 0) {
+                        outcome.status = 'success';
+                    } else if (outcome.attempted) {
+                        outcome.status = 'empty';
+                    }
 
                 } catch (err) {
                     logger.error(`Google Places search failed for query "${query}": ${err.message}`);
+                    outcome.status = 'error';
+                    outcome.error = err.message;
+                    outcome.http_status = err.status;
+                    outcome.attempts = err.attempts;
                 }
+                delete outcome.attempted;
             }
 
-            // Save updated stats
-            await Settings.findOneAndUpdate({ key: 'global' }, {
-                $set: {
-                    'google_places_config.calls_today': gpConfig.calls_today,
-                    'google_places_config.last_reset_date': gpConfig.last_reset_date
-                }
-            });
+            if (signal && signal.aborted) {
+                throw new Error('Job cancelled');
+            }
+
+            // Every query errored (e.g. Places 5xx): fail the job so the queue can retry it
+            const errored = queryOutcomes.filter(o => o.status === 'error');
+            if (errored.length > 0 && errored.length === queryOutcomes.length) {
+                throw new Error(`All ${errored.length} Places queries failed: ${errored[errored.length - 1].error}`);
+            }
 
             // 4. Transform and Save Output
-            const transformedData = allPlaces.map(p => this.transformPlace(p));
+            // Keep the query on each record for the per-query breakdown
+            const transformedData = allPlaces.map(({ query, place }) => ({
+                ...this.transformPlace(place),
+                source_query: query
+            }));
 
             const outputPath = path.join(tempVolumePath, 'output.json');
             await fs.writeFile(outputPath, JSON.stringify(transformedData, null, 2));
 
-            logger.info(`Google Places job ${jobId} completed. Found ${transformedData.length} places. API Calls Used: ${gpConfig.calls_today}`);
+            logger.info(`Google Places job ${jobId} completed. Found ${transformedData.length} places. API Calls Used: ${paging.usage.calls}, cached pages: ${paging.cache.hits}`);
 
             return {
                 local_path: outputPath,
                 provider: 'google_places',
                 cloudinary_url: null, // Not applicable
-                cloudinary_public_id: null
+                cloudinary_public_id: null,
+                query_outcomes: queryOutcomes,
+                places_cache: { hits: paging.cache.hits, misses: paging.cache.misses },
+                grid_cells: grid ? gridCells : undefined
             };
 
         } catch (error) {
@@ -179,11 +234,193 @@ class GooglePlacesService {
     }
 
     /**
-     * Search using New Google Places API (Text Search)
+     * Run one Text Search and follow its pages
+     * Pages still in the response cache (services/placesCache) cost nothing; every
+     * other page reserves quota (services/usageLedger) and is cached for the next run.
+     * @param {string} query - Text query
+     * @param {Object} outcome - Query outcome (results/pages/cached_pages are added to)
+     * @param {Object} paging - { jobId, userId, fieldsLevel, maxPages, signal, usage, cache, locationRestriction }
+     * @returns {Promise<Object>} - { places, hasMore } (hasMore: a next page was left unfetched)
      */
-    async searchPlaces(textQuery, apiKey, level = 'contact', pageToken = null) {
-        const url = 'https://places.googleapis.com/v1/places:searchText';
+    async paginate(query, outcome, { jobId, userId, fieldsLevel, maxPages, signal, usage, cache, locationRestriction = null }) {
+        const places = [];
+        let nextPageToken = null;
+        let pageCount = 0;
+        let followsCachedPage = false;
+        // Pages of one chain expire together, a cached page never points at an expired next page
+        const expiresAt = new Date(Date.now() + cache.ttlMs);
+
+        do {
+            if (signal && signal.aborted) break;
+
+            const request = {
+                textQuery: query,
+                fieldMask: this.searchFieldMask(fieldsLevel),
+                pageToken: nextPageToken,
+                locationRestriction
+            };
+
+            // Pass nextPageToken if it exists (for pg 2, 3)
+            let fetched;
+            try {
+                fetched = await this.cachedSearch(
+                    request,
+                    { operation: 'text_search', job_id: jobId, user: userId, fields_level: fieldsLevel, target: query },
+                    (apiKey, onRetry) => this.searchPlaces(query, apiKey, fieldsLevel, nextPageToken, signal, locationRestriction, onRetry),
+                    { usage, cache },
+                    expiresAt
+                );
+            } catch (err) {
+                // The token came from a cached page and Google no longer accepts it: keep the cached pages
+                if (followsCachedPage && err.status === 400) {
+                    logger.warn(`Query "${query}": page token from the cache was rejected, stopping at page ${pageCount}.`);
+                    break;
+                }
+                throw err;
+            }
+
+            if (!fetched) {
+                logger.warn(`Daily limit reached during pagination (Query: "${query}", Page: ${pageCount + 1}). Stopping.`);
+                break;
+            }
+
+            const responseData = fetched.data;
+            followsCachedPage = fetched.cached;
+            if (fetched.cached) outcome.cached_pages++;
+            outcome.attempted = true;
+
+            const pagePlaces = responseData.places || [];
+            nextPageToken = responseData.nextPageToken; // Update token for next loop
+
+            // STOP IF NO RESULTS: Don't trust nextPageToken if current page is empty
+            if (pagePlaces.length === 0) {
+                logger.info(`Query "${query}" Page ${pageCount + 1}: returned 0 results. Stopping pagination.`);
+                nextPageToken = null;
+                break;
+            }
+
+            places.push(...pagePlaces);
+
+            pageCount++;
+            outcome.results += pagePlaces.length;
+            outcome.pages++;
+
+            // Log progress
+            logger.info(`Query "${query}" Page ${pageCount}: Found ${pagePlaces.length} places.${followsCachedPage ? ' (cached)' : ''}`);
+            jobEvents.publish(jobId, 'query_progress', {
+                query,
+                page: outcome.pages,
+                page_results: pagePlaces.length,
+                total_results: outcome.results
+            });
+
+        } while (nextPageToken && pageCount < maxPages);
+
+        return { places, hasMore: !!nextPageToken };
+    }
+
+    /**
+     * Run one Nearby Search for a job query of a nearby sweep (a single page, Nearby Search has no pagination)
+     * @param {string} query - Job query (services/nearbySearch label)
+     * @param {Object} outcome - Query outcome
+     * @param {Object} nearby - Normalized nearby config
+     * @param {Object} paging - Same as paginate
+     * @returns {Promise<Array>} - Places
+     */
+    async runNearby(query, outcome, nearby, { jobId, userId, fieldsLevel, signal, usage, cache }) {
+        const type = nearbySearch.typeFor(nearby, query);
+        if (!type) {
+            throw new Error(`Query "${query}" is not part of this nearby search`);
+        }
+        if (signal && signal.aborted) return [];
+
+        const locationRestriction = nearbySearch.toCircle(nearby);
+        const fetched = await this.cachedSearch(
+            {
+                includedTypes: [type],
+                rankPreference: nearby.rank_preference,
+                fieldMask: this.searchFieldMask(fieldsLevel, false),
+                locationRestriction
+            },
+            { operation: 'nearby_search', job_id: jobId, user: userId, fields_level: fieldsLevel, target: query },
+            (apiKey, onRetry) => this.searchNearbyPlaces(type, apiKey, fieldsLevel, locationRestriction, nearby.rank_preference, signal, onRetry),
+            { usage, cache },
+            new Date(Date.now() + cache.ttlMs)
+        );
+
+        if (!fetched) {
+            logger.warn(`Daily limit reached before nearby search "${query}". Stopping.`);
+            return [];
+        }
+
+        const places = fetched.data.places || [];
+        outcome.attempted = true;
+        outcome.results += places.length;
+        if (places.length > 0) outcome.pages++;
+        if (fetched.cached) outcome.cached_pages++;
+
+        logger.info(`Nearby search "${query}": Found ${places.length} places.${fetched.cached ? ' (cached)' : ''}`);
+        jobEvents.publish(jobId, 'query_progress', {
+            query,
+            page: outcome.pages,
+            page_results: places.length,
+            total_results: outcome.results
+        });
+
+        return places;
+    }
+
+    /**
+     * One metered search, served from the response cache when possible
+     * Cache hits make no API call, reserve no quota and add no ledger entry.
+     * @param {Object} request - Cache key fields (services/placesCache)
+     * @param {Object} entry - Usage ledger entry
+     * @param {Function} call - Makes the API request, receives the API key
+     * @param {Object} paging - { usage, cache }
+     * @param {Date} expiresAt - When a fetched response leaves the cache
+     * @returns {Promise<Object|null>} - { data, cached }, null when the daily limit is reached
+     */
+    async cachedSearch(request, entry, call, { usage, cache }, expiresAt) {
+        if (cache.ttlMs > 0 && !cache.skipRead) {
+            const data = await placesCache.get(request);
+            if (data) {
+                cache.hits++;
+                return { data, cached: true };
+            }
+        }
+
+        // Atomic reservation before EVERY API Call, on the next usable pool key
+        const tracked = await usageLedger.track(entry, call);
+        if (!tracked) {
+            usage.limitReached = true;
+            return null;
+        }
+
+        usage.calls++;
+        cache.misses++;
+        if (cache.ttlMs > 0) {
+            await placesCache.set(request, tracked.result, expiresAt);
+        }
+        return { data: tracked.result, cached: false };
+    }
+
+    /**
+     * Text Search locationRestriction for a grid cell
+     */
+    toRectangle(bounds) {
+        return {
+            rectangle: {
+                low: { latitude: bounds.south, longitude: bounds.west },
+                high: { latitude: bounds.north, longitude: bounds.east }
+            }
+        };
+    }
 
+    /**
+     * Text Search / Nearby Search field mask for a data level
+     * @param {boolean} paginated - Ask for nextPageToken (Text Search only)
+     */
+    searchFieldMask(level = 'contact', paginated = true) {
         // Define Field Buckets
         const basicFields = [
             'places.id',
@@ -223,9 +460,20 @@ class GooglePlacesService {
         // Actually, nextPageToken is a top-level field in the response, NOT inside 'places'.
         // The X-Goog-FieldMask applies to *response fields*.
         // If we want nextPageToken, we must add 'nextPageToken' to the mask.
-        selectedFields.push('nextPageToken');
+        if (paginated) {
+            selectedFields.push('nextPageToken');
+        }
+
+        return selectedFields.join(',');
+    }
 
-        const fieldMask = selectedFields.join(',');
+    /**
+     * Search using New Google Places API (Text Search)
+     * @param {Object} locationRestriction - Optional area results must fall in (geo grid cells)
+     * @param {Function} onRetry - See request()
+     */
+    async searchPlaces(textQuery, apiKey, level = 'contact', pageToken = null, signal = null, locationRestriction = null, onRetry = null) {
+        const url = 'https://places.googleapis.com/v1/places:searchText';
 
         const body = {
             textQuery: textQuery,
@@ -237,29 +485,181 @@ class GooglePlacesService {
             body.pageToken = pageToken;
         }
 
-        try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Goog-Api-Key': apiKey,
-                    'X-Goog-FieldMask': fieldMask
-                },
-                body: JSON.stringify(body)
-            });
+        // Page requests must repeat the original parameters
+        if (locationRestriction) {
+            body.locationRestriction = locationRestriction;
+        }
+
+        // Return whole data object to access nextPageToken
+        return this.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Goog-Api-Key': apiKey,
+                'X-Goog-FieldMask': this.searchFieldMask(level)
+            },
+            body: JSON.stringify(body)
+        }, signal, onRetry);
+    }
+
+    /**
+     * Search using New Google Places API (Nearby Search)
+     * Same field tiers as searchPlaces; Google returns at most 20 places and no next page.
+     * @param {string} includedType - Place type (e.g. 'restaurant')
+     * @param {Object} locationRestriction - { circle: { center, radius } }
+     * @param {string} rankPreference - 'popularity' | 'distance' (Google's default: popularity)
+     * @param {Function} onRetry - See request()
+     */
+    async searchNearbyPlaces(includedType, apiKey, level = 'contact', locationRestriction, rankPreference = null, signal = null, onRetry = null) {
+        const body = {
+            includedTypes: [includedType],
+            maxResultCount: 20, // Nearby Search maximum
+            locationRestriction
+        };
+
+        if (rankPreference) {
+            body.rankPreference = rankPreference.toUpperCase();
+        }
+
+        return this.request('https://places.googleapis.com/v1/places:searchNearby', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Goog-Api-Key': apiKey,
+                'X-Goog-FieldMask': this.searchFieldMask(level, false)
+            },
+            body: JSON.stringify(body)
+        }, signal, onRetry);
+    }
+
+    /**
+     * Fetch one place with Place Details (New)
+     * Field tiers match searchPlaces; address components are always requested.
+     * @param {string} placeId - Places ID (not a Maps cid)
+     * @param {Function} onRetry - See request()
+     */
+    async getPlaceDetails(placeId, apiKey, level = 'contact', signal = null, onRetry = null) {
+        const basicFields = [
+            'id',
+            'displayName',
+            'formattedAddress',
+            'addressComponents',
+            'location',
+            'types',
+            'primaryTypeDisplayName'
+        ];
+
+        const contactFields = [
+            'nationalPhoneNumber',
+            'internationalPhoneNumber',
+            'websiteUri',
+            'priceLevel',
+            'businessStatus'
+        ];
+
+        const atmosphereFields = [
+            'rating',
+            'userRatingCount',
+            'regularOpeningHours',
+            'editorialSummary',
+            'reviews'
+        ];
+
+        let selectedFields = [...basicFields];
+
+        if (level === 'contact' || level === 'atmosphere') {
+            selectedFields = [...selectedFields, ...contactFields];
+        }
+
+        if (level === 'atmosphere') {
+            selectedFields = [...selectedFields, ...atmosphereFields];
+        }
+
+        return this.request(`https://places.googleapis.com/v1/places/${encodeURIComponent(placeId)}`, {
+            headers: {
+                'X-Goog-Api-Key': apiKey,
+                'X-Goog-FieldMask': selectedFields.join(',')
+            }
+        }, signal, onRetry);
+    }
+
+    /**
+     * Places API request, retried on 429/5xx and network errors
+     * Waits as long as Retry-After asks when Google sends it, otherwise backs off
+     * exponentially with full jitter.
+     * @param {Function} onRetry - Called with the error of every attempt that is retried (usage ledger)
+     * @returns {Promise<Object>} - Parsed response body
+     * @throws {Error} - With status (HTTP status, unset for network errors) and attempts
+     */
+    async request(url, options, signal = null, onRetry = null) {
+        for (let attempt = 1; ; attempt++) {
+            let error;
+            let retryAfter = null;
+
+            try {
+                const response = await fetch(url, { ...options, signal: signal || undefined });
+                if (response.ok) {
+                    return await response.json();
+                }
 
-            if (!response.ok) {
                 const errText = await response.text();
-                throw new Error(`API Error ${response.status}: ${errText}`);
+                error = new Error(`API Error ${response.status}: ${errText}`);
+                error.status = response.status; // 403/429 rotate to another key
+                retryAfter = response.headers.get('retry-after');
+            } catch (err) {
+                if (signal && signal.aborted) throw err;
+                error = err;
             }
+            error.attempts = attempt;
 
-            const data = await response.json();
-            // Return whole data object to access nextPageToken
-            return data;
+            const retryable = error.status === undefined || RETRY_STATUSES.includes(error.status);
+            const delay = retryable && attempt < MAX_ATTEMPTS ? this.retryDelay(attempt, retryAfter) : null;
+            if (delay === null) throw error;
+            if (onRetry) await onRetry(error);
 
-        } catch (error) {
-            throw error;
+            logger.warn(`Places request failed (${error.status || error.message}), retry ${attempt}/${MAX_ATTEMPTS - 1} in ${Math.round(delay / 1000)}s`);
+            await this.sleep(delay, signal);
+        }
+    }
+
+    /**
+     * Milliseconds to wait before the next attempt, null to give up
+     * @param {number} attempt - Attempts made so far
+     * @param {string} retryAfter - Retry-After header (seconds or HTTP date)
+     */
+    retryDelay(attempt, retryAfter) {
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const wait = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+
+            if (!Number.isNaN(wait)) {
+                if (wait > MAX_RETRY_AFTER_MS) return null;
+                // A little jitter so jobs throttled together do not retry together
+                return Math.max(wait, 0) + Math.random() * BACKOFF_BASE_MS;
+            }
         }
+
+        return Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempt - 1));
+    }
+
+    /**
+     * Wait, cut short when the job is cancelled
+     */
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) return reject(new Error('Job cancelled'));
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new Error('Job cancelled'));
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
     }
 
     /**
@@ -0,0 +1,173 @@
+const EventEmitter = require('events');
+const Job = require('../models/Job');
+const logger = require('../utils/logger');
+
+// Phases after which no more events are published for a job
+const TERMINAL_PHASES = ['done', 'failed', 'cancelled', 'dead'];
+
+// Redis channel used to fan events out to every API/worker instance
+const EVENTS_CHANNEL = 'scrape-jobs:events';
+
+// Minimum gap between progress snapshot writes to Mongo (phase changes always write)
+const PERSIST_INTERVAL_MS = 2000;
+
+/**
+ * Pub/sub for live job progress.
+ * Listeners subscribe per job_id (used by the SSE endpoint), and a snapshot of
+ * the latest progress is kept on Job.progress so a reload can resume from it.
+ */
+class JobEventsService extends EventEmitter {
+    constructor() {
+        super();
+        this.setMaxListeners(0); // One listener per open SSE connection
+        this.snapshots = new Map(); // jobId -> progress snapshot
+        this.persistTimers = new Map(); // jobId -> pending write timer
+        this.publisher = null;
+    }
+
+    /**
+     * Relay events through Redis pub/sub so SSE clients on one instance see
+     * progress from jobs running on another. Without it events stay local.
+     * @param {IORedis} publisher - Connection used to publish
+     * @param {IORedis} subscriber - Connection in subscriber mode
+     */
+    async attachRedis(publisher, subscriber) {
+        await subscriber.subscribe(EVENTS_CHANNEL);
+        subscriber.on('message', (channel, message) => {
+            if (channel !== EVENTS_CHANNEL) return;
+            try {
+                const event = JSON.parse(message);
+                this.emit(event.job_id, event);
+            } catch (error) {
+                logger.warn(`Invalid job event received: ${error.message}`);
+            }
+        });
+        this.publisher = publisher;
+    }
+
+    /**
+     * Publish an event for a job
+     * @param {string} jobId - Job ID
+     * @param {string} type - 'phase' | 'query_progress' | 'log' (stream, level, message, line) | 'dedup_progress' | 'enrichment_progress'
+     * @param {Object} data - Event payload
+     */
+    publish(jobId, type, data = {}) {
+        if (!jobId) return;
+
+        const event = { type, job_id: jobId, at: new Date().toISOString(), ...data };
+
+        try {
+            const snapshot = this.applyToSnapshot(jobId, event);
+
+            if (type === 'phase') {
+                this.persist(jobId, snapshot);
+            } else if (type !== 'log') {
+                this.schedulePersist(jobId);
+            }
+        } catch (error) {
+            logger.warn(`Job progress snapshot failed for ${jobId}: ${error.message}`);
+        }
+
+        if (this.publisher) {
+            this.publisher.publish(EVENTS_CHANNEL, JSON.stringify(event))
+                .catch(error => logger.warn(`Failed to publish job event: ${error.message}`));
+        } else {
+            this.emit(jobId, event);
+        }
+
+        if (type === 'phase' && TERMINAL_PHASES.includes(data.phase)) {
+            this.snapshots.delete(jobId);
+        }
+    }
+
+    /**
+     * Shortcut for phase changes
+     */
+    phase(jobId, phase, data = {}) {
+        this.publish(jobId, 'phase', { phase, ...data });
+    }
+
+    /**
+     * Merge an event into the in-memory snapshot
+     */
+    applyToSnapshot(jobId, event) {
+        if (!this.snapshots.has(jobId)) {
+            this.snapshots.set(jobId, { phase: 'queued', queries: [], dedup: null });
+        }
+        const snapshot = this.snapshots.get(jobId);
+
+        if (event.type === 'phase') {
+            snapshot.phase = event.phase;
+        } else if (event.type === 'query_progress') {
+            let entry = snapshot.queries.find(q => q.query === event.query);
+            if (!entry) {
+                entry = { query: event.query, pages: 0, results: 0 };
+                snapshot.queries.push(entry);
+            }
+            entry.pages = event.page;
+            entry.results = event.total_results;
+        } else if (event.type === 'dedup_progress') {
+            snapshot.dedup = {
+                processed: event.processed,
+                total: event.total,
+                new: event.new,
+                updated: event.updated,
+                skipped: event.skipped,
+                errors: event.errors
+            };
+        } else if (event.type === 'enrichment_progress') {
+            snapshot.enrichment = {
+                enriched: event.enriched,
+                failed: event.failed,
+                total: event.total
+            };
+        }
+
+        snapshot.updated_at = new Date();
+        return snapshot;
+    }
+
+    /**
+     * Throttled snapshot write
+     */
+    schedulePersist(jobId) {
+        if (this.persistTimers.has(jobId)) return;
+
+        const timer = setTimeout(() => {
+            this.persistTimers.delete(jobId);
+            const snapshot = this.snapshots.get(jobId);
+            if (snapshot) this.persist(jobId, snapshot);
+        }, PERSIST_INTERVAL_MS);
+        if (timer.unref) timer.unref();
+
+        this.persistTimers.set(jobId, timer);
+    }
+
+    /**
+     * Write the snapshot to Job.progress
+     */
+    persist(jobId, snapshot) {
+        if (this.persistTimers.has(jobId)) {
+            clearTimeout(this.persistTimers.get(jobId));
+            this.persistTimers.delete(jobId);
+        }
+
+        Job.updateOne({ job_id: jobId }, { $set: { progress: snapshot } })
+            .catch(error => logger.warn(`Failed to save progress for job ${jobId}: ${error.message}`));
+    }
+
+    /**
+     * Subscribe to a job's events
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(jobId, listener) {
+        this.on(jobId, listener);
+        return () => this.off(jobId, listener);
+    }
+
+    isTerminalPhase(phase) {
+        return TERMINAL_PHASES.includes(phase);
+    }
+}
+
+module.exports = new JobEventsService();
@@ -0,0 +1,169 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const GooglePlaceRaw = require('../models/GooglePlaceRaw');
+const ScraperRaw = require('../models/ScraperRaw');
+const deduplicator = require('./deduplicator');
+
+const FORMATS = {
+    json: { contentType: 'application/json', extension: 'json' },
+    ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Raw collections a job's records can live in
+const RAW_SOURCES = [
+    { model: GooglePlaceRaw, sourceType: 'google_places' },
+    { model: ScraperRaw, sourceType: 'scraper' }
+];
+
+// Columns prepended to every row
+const META_COLUMNS = ['raw_id', 'source', 'source_query'];
+
+// Columns of normalized exports (DeduplicatorService.normalizeBusiness)
+const NORMALIZED_COLUMNS = [
+    'place_id', 'name', 'category', 'phone', 'website', 'emails',
+    'address', 'city', 'state', 'zip', 'country', 'latitude', 'longitude',
+    'rating', 'review_count', 'price_level', 'business_status'
+];
+
+/**
+ * Builds job exports from the stored raw documents, streamed to the response
+ */
+class JobExporterService {
+    isSupportedFormat(format) {
+        return Object.prototype.hasOwnProperty.call(FORMATS, format);
+    }
+
+    /**
+     * Stream a job's records
+     * @param {string} jobId - Job whose raw documents are exported
+     * @param {Object} options
+     * @param {string} options.format - 'json' | 'ndjson' | 'csv' | 'xlsx'
+     * @param {string} options.columns - 'raw' (provider fields) | 'normalized' (our field names)
+     * @param {Object} res - Express response
+     */
+    async stream(jobId, { format, columns }, res) {
+        const { contentType, extension } = FORMATS[format];
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="job-${jobId}-${columns}.${extension}"`);
+
+        if (format === 'json') return this.writeJson(jobId, columns, res);
+        if (format === 'ndjson') return this.writeNdjson(jobId, columns, res);
+
+        const header = columns === 'raw'
+            ? [...META_COLUMNS, ...await this.collectRawKeys(jobId)]
+            : [...META_COLUMNS, ...NORMALIZED_COLUMNS];
+
+        if (format === 'csv') return this.writeCsv(jobId, columns, header, res);
+        return this.writeXlsx(jobId, columns, header, res);
+    }
+
+    /**
+     * Raw documents of a job, oldest first, across both providers (quarantined ones left out)
+     */
+    async *records(jobId) {
+        for (const { model, sourceType } of RAW_SOURCES) {
+            const cursor = model.find({ job_id: jobId, quarantined: { $ne: true } }).sort({ createdAt: 1 }).lean().cursor();
+            for await (const doc of cursor) {
+                yield { doc, sourceType };
+            }
+        }
+    }
+
+    /**
+     * JSON/NDJSON record: raw keeps the provider payload as-is
+     */
+    toRecord(doc, sourceType, columns) {
+        const meta = { raw_id: doc._id, source: sourceType, source_query: doc.source_query };
+        if (columns === 'raw') {
+            return { ...meta, place_id: doc.place_id, data: doc.data };
+        }
+        return { ...meta, ...deduplicator.normalizeBusiness(doc.data, sourceType) };
+    }
+
+    /**
+     * CSV/XLSX row: nested values are written as JSON
+     */
+    toRow(doc, sourceType, columns, header) {
+        const values = columns === 'raw'
+            ? this.unwrap(doc.data, sourceType)
+            : deduplicator.normalizeBusiness(doc.data, sourceType);
+        const meta = { raw_id: String(doc._id), source: sourceType, source_query: doc.source_query };
+
+        return header.map(column => {
+            const value = META_COLUMNS.includes(column) ? meta[column] : values[column];
+            if (value === undefined || value === null) return '';
+            if (Array.isArray(value) && value.every(v => typeof v !== 'object')) return value.join(', ');
+            return typeof value === 'object' ? JSON.stringify(value) : value;
+        });
+    }
+
+    // Scraper records may be wrapped in { data: {...} } (see normalizeBusiness)
+    unwrap(data, sourceType) {
+        return sourceType === 'scraper' && data && data.data ? data.data : (data || {});
+    }
+
+    /**
+     * Union of top-level raw field names, in first-seen order
+     */
+    async collectRawKeys(jobId) {
+        const keys = new Set();
+        for await (const { doc, sourceType } of this.records(jobId)) {
+            Object.keys(this.unwrap(doc.data, sourceType)).forEach(key => keys.add(key));
+        }
+        META_COLUMNS.forEach(key => keys.delete(key));
+        return [...keys];
+    }
+
+    async write(res, chunk) {
+        if (!res.write(chunk)) await once(res, 'drain');
+    }
+
+    async writeJson(jobId, columns, res) {
+        let first = true;
+        await this.write(res, '[');
+        for await (const { doc, sourceType } of this.records(jobId)) {
+            await this.write(res, (first ? '\n' : ',\n') + JSON.stringify(this.toRecord(doc, sourceType, columns)));
+            first = false;
+        }
+        res.end(first ? ']' : '\n]');
+    }
+
+    async writeNdjson(jobId, columns, res) {
+        for await (const { doc, sourceType } of this.records(jobId)) {
+            await this.write(res, JSON.stringify(this.toRecord(doc, sourceType, columns)) + '\n');
+        }
+        res.end();
+    }
+
+    async writeCsv(jobId, columns, header, res) {
+        const line = values => values.map(v => this.csvEscape(v)).join(',') + '\r\n';
+
+        await this.write(res, '\uFEFF' + line(header)); // BOM so Excel reads UTF-8
+        for await (const { doc, sourceType } of this.records(jobId)) {
+            await this.write(res, line(this.toRow(doc, sourceType, columns, header)));
+        }
+        res.end();
+    }
+
+    csvEscape(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    async writeXlsx(jobId, columns, header, res) {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+        const sheet = workbook.addWorksheet(`Job ${jobId}`.substring(0, 31));
+
+        sheet.addRow(header).commit();
+        for await (const { doc, sourceType } of this.records(jobId)) {
+            sheet.addRow(this.toRow(doc, sourceType, columns, header)).commit();
+        }
+
+        sheet.commit();
+        await workbook.commit();
+    }
+}
+
+module.exports = new JobExporterService();
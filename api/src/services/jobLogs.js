@@ -0,0 +1,216 @@
+const Job = require('../models/Job');
+const JobLog = require('../models/JobLog');
+const logger = require('../utils/logger');
+
+// Lines kept per job, older lines are dropped once a job goes over
+const MAX_LINES_PER_JOB = parseInt(process.env.JOB_LOG_MAX_LINES) || 5000;
+
+// Buffered lines are written when this many are pending, or after FLUSH_INTERVAL_MS
+const FLUSH_BATCH = 200;
+const FLUSH_INTERVAL_MS = 1000;
+
+const LEVEL_ALIASES = {
+    trace: 'debug', trc: 'debug', debug: 'debug', dbg: 'debug',
+    info: 'info', inf: 'info',
+    warn: 'warn', warning: 'warn', wrn: 'warn',
+    error: 'error', err: 'error', fatal: 'error', ftl: 'error', panic: 'error', pnc: 'error'
+};
+
+// Go's log package prefix ("2024/01/02 15:04:05 ")
+const GO_LOG_PREFIX = /^\d{4}\/\d{2}\/\d{2} \d{2}:\d{2}:\d{2}(\.\d+)?\s+/;
+
+// zerolog console output ("3:04PM WRN message key=value")
+const CONSOLE_LEVEL = /^\S+\s+(TRC|DBG|INF|WRN|ERR|FTL|PNC)\s+(.*)$/;
+
+/**
+ * Capped per-job store of container output.
+ * Lines are parsed into level/message/fields so warnings and errors of the
+ * Go scraper can be filtered, and written to Mongo in small batches.
+ */
+class JobLogService {
+    constructor() {
+        this.states = new Map(); // jobId -> { seq, attempt, buffer, timer, writing }
+    }
+
+    /**
+     * Prepare a job for capture (continues numbering after earlier attempts)
+     */
+    async start(jobId, attempt = 1) {
+        const last = await JobLog.findOne({ job_id: jobId }).sort({ seq: -1 }).select('seq');
+
+        this.states.set(jobId, {
+            seq: last ? last.seq : 0,
+            attempt,
+            buffer: [],
+            timer: null,
+            writing: Promise.resolve()
+        });
+    }
+
+    /**
+     * Record one line of container output
+     * @returns {Object} - The parsed entry (level, message, fields)
+     */
+    append(jobId, stream, line) {
+        const parsed = this.parseLine(line);
+
+        const state = this.states.get(jobId);
+        if (!state) return parsed;
+
+        state.seq++;
+        state.buffer.push({
+            job_id: jobId,
+            seq: state.seq,
+            attempt: state.attempt,
+            stream,
+            ...parsed,
+            line,
+            logged_at: new Date()
+        });
+
+        if (state.buffer.length >= FLUSH_BATCH) {
+            this.flush(jobId);
+        } else if (!state.timer) {
+            state.timer = setTimeout(() => this.flush(jobId), FLUSH_INTERVAL_MS);
+            if (state.timer.unref) state.timer.unref();
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Write buffered lines, drop lines over the cap and update Job.log_stats
+     */
+    flush(jobId) {
+        const state = this.states.get(jobId);
+        if (!state) return Promise.resolve();
+
+        clearTimeout(state.timer);
+        state.timer = null;
+
+        const batch = state.buffer.splice(0);
+        if (batch.length === 0) return state.writing;
+
+        // Chained so batches land in order
+        state.writing = state.writing.then(async () => {
+            try {
+                await JobLog.insertMany(batch, { ordered: false });
+
+                const { deletedCount } = await JobLog.deleteMany({
+                    job_id: jobId,
+                    seq: { $lte: state.seq - MAX_LINES_PER_JOB }
+                });
+
+                await Job.updateOne({ job_id: jobId }, {
+                    $inc: {
+                        'log_stats.lines': batch.length,
+                        'log_stats.warnings': batch.filter(entry => entry.level === 'warn').length,
+                        'log_stats.errors': batch.filter(entry => entry.level === 'error').length,
+                        'log_stats.dropped': deletedCount || 0
+                    }
+                });
+            } catch (error) {
+                logger.warn(`Failed to store logs for job ${jobId}: ${error.message}`);
+            }
+        });
+
+        return state.writing;
+    }
+
+    /**
+     * Flush what is left and stop capturing for a job
+     */
+    async finish(jobId) {
+        await this.flush(jobId);
+        this.states.delete(jobId);
+    }
+
+    /**
+     * Parse a line into level, message and structured fields
+     * Understands JSON (zerolog/slog), logfmt, zerolog console and Go log lines.
+     */
+    parseLine(line) {
+        const text = line.trim();
+
+        if (text.startsWith('{')) {
+            try {
+                const { level, lvl, message, msg, ...fields } = JSON.parse(text);
+                delete fields.time; // Kept as logged_at
+                return {
+                    level: this.normalizeLevel(level || lvl) || 'info',
+                    message: message || msg || text,
+                    fields
+                };
+            } catch (error) {
+                // Not JSON after all, fall through
+            }
+        }
+
+        const logfmtLevel = /(?:^|\s)level=("?)(\w+)\1/.exec(text);
+        if (logfmtLevel) {
+            const msg = /(?:^|\s)msg=(?:"((?:[^"\\]|\\.)*)"|(\S+))/.exec(text);
+            return {
+                level: this.normalizeLevel(logfmtLevel[2]) || 'info',
+                message: msg ? (msg[1] !== undefined ? msg[1] : msg[2]) : text
+            };
+        }
+
+        const consoleMatch = CONSOLE_LEVEL.exec(text);
+        if (consoleMatch) {
+            return { level: this.normalizeLevel(consoleMatch[1]), message: consoleMatch[2] };
+        }
+
+        // Plain text (Go log/fmt): guess from wording
+        const message = text.replace(GO_LOG_PREFIX, '');
+        let level = 'info';
+        if (/^warn(ing)?\b/i.test(message)) {
+            level = 'warn';
+        } else if (/\b(panic|fatal|error|failed)\b/i.test(message)) {
+            level = 'error';
+        } else if (/\bwarn(ing)?\b/i.test(message)) {
+            level = 'warn';
+        }
+
+        return { level, message };
+    }
+
+    normalizeLevel(level) {
+        return level ? LEVEL_ALIASES[String(level).toLowerCase()] : undefined;
+    }
+
+    /**
+     * Read a job's stored lines
+     * @param {string} jobId - Job ID
+     * @param {Object} options
+     * @param {number} options.tail - Return the last N lines (ignores page)
+     * @param {number} options.page - Page number (oldest first)
+     * @param {number} options.limit - Lines per page
+     * @param {Array<string>} options.levels - Only these levels
+     * @param {string} options.stream - 'stdout' | 'stderr'
+     * @returns {Promise<Object>} - { lines, total }
+     */
+    async getLogs(jobId, { tail, page = 1, limit = 200, levels, stream } = {}) {
+        await this.flush(jobId);
+
+        const filter = { job_id: jobId };
+        if (levels && levels.length > 0) filter.level = { $in: levels };
+        if (stream) filter.stream = stream;
+
+        const total = await JobLog.countDocuments(filter);
+
+        if (tail) {
+            const lines = await JobLog.find(filter).sort({ seq: -1 }).limit(tail).lean();
+            return { lines: lines.reverse(), total };
+        }
+
+        const lines = await JobLog.find(filter)
+            .sort({ seq: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean();
+
+        return { lines, total };
+    }
+}
+
+module.exports = new JobLogService();
@@ -1,48 +1,312 @@
+const { Queue, Worker, DelayedError } = require('bullmq');
 const Job = require('../models/Job');
 const Settings = require('../models/Settings');
 const logger = require('../utils/logger');
+const createRedisConnection = require('../config/redis');
 
 // Moved execution logic here from jobController
-// This service acts as the Processor
+// This service acts as the Processor.
+// Dispatch goes through a BullMQ queue in Redis so several API/worker
+// containers can share the work; the Job document stays the source of truth.
 
 const scraperService = require('./scraper');
 const processorService = require('./processor');
+const placeEnrichment = require('./placeEnrichment');
+const jobEvents = require('./jobEvents');
+const jobLogs = require('./jobLogs');
+
+const QUEUE_NAME = 'scrape-jobs';
+const CANCEL_CHANNEL = 'scrape-jobs:cancel';
+
+// BullMQ priority: lower runs first. Each Job.priority level gets a band, and
+// inside a band a user's n-th waiting job gets offset n, which interleaves users.
+// Offsets are recomputed whenever one of the user's jobs starts (rotateOwner).
+const PRIORITY_MIN = -5;
+const PRIORITY_MAX = 4;
+const USER_SLOT = 100000;
+
+// Startup gives up when Redis does not answer within this time
+// (commands would otherwise wait for it forever, see config/redis)
+const REDIS_CONNECT_TIMEOUT_MS = 10000;
+
+// How long a job waits when its owner is at the per-user running cap
+const USER_CAP_DELAY_MS = 15000;
+
+// Failures that retrying cannot fix, these fail the job immediately
+const PERMANENT_ERROR_PATTERNS = [
+    /limit reached/i,
+    /not configured/i,
+    /missing API Key/i,
+    /API Error 4(0[0-8]|1\d)/ // 4xx except 429
+];
 
 class JobQueue {
     constructor() {
-        this.isProcessing = false;
         this.defaultConcurrency = 2; // Default limit
+        this.controllers = new Map(); // jobId -> AbortController for running jobs
+        this.queue = null;
+        this.worker = null;
+        this.publisher = null;
+        this.subscriber = null;
     }
 
     /**
      * Initialize the queue service
-     * Resets any jobs stuck in 'running' state from previous crashes
+     * @param {Object} options
+     * @param {boolean} options.runWorker - Also process jobs in this process
+     * @throws {Error} - Redis unreachable or recovery failed
      */
-    async init() {
+    async init({ runWorker = true } = {}) {
         try {
-            const stuckJobs = await Job.updateMany(
-                { status: 'running' },
-                {
-                    $set: {
-                        status: 'failed',
-                        error_message: 'Job failed due to server restart/crash'
-                    }
-                }
-            );
+            this.queue = new Queue(QUEUE_NAME, { connection: createRedisConnection('queue') });
+            this.publisher = createRedisConnection('publisher');
+            this.subscriber = createRedisConnection('subscriber');
+
+            let timer;
+            await Promise.race([
+                this.publisher.ping(),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error(`Redis did not answer within ${REDIS_CONNECT_TIMEOUT_MS / 1000}s`)), REDIS_CONNECT_TIMEOUT_MS);
+                })
+            ]).finally(() => clearTimeout(timer));
+
+            // Cancellation requests reach whichever instance runs the job
+            await this.subscriber.subscribe(CANCEL_CHANNEL);
+            this.subscriber.on('message', (channel, message) => {
+                if (channel !== CANCEL_CHANNEL) return;
+                this.abortLocal(message);
+            });
 
-            if (stuckJobs.modifiedCount > 0) {
-                logger.info(`Queue Init: Reset ${stuckJobs.modifiedCount} stuck jobs to failed.`);
-            } else {
-                logger.info('Queue Init: Clean start, no stuck jobs.');
+            await jobEvents.attachRedis(this.publisher, this.subscriber);
+
+            if (runWorker) {
+                this.worker = new Worker(QUEUE_NAME, (bullJob, token) => this.processBullJob(bullJob, token), {
+                    connection: createRedisConnection('worker'),
+                    concurrency: this.defaultConcurrency,
+                    lockDuration: 60000,
+                    stalledInterval: 30000,
+                    maxStalledCount: 1
+                });
+
+                this.worker.on('stalled', (bullJobId) => {
+                    logger.warn(`Queue: job ${bullJobId} stalled, its worker stopped renewing the lock.`);
+                });
+
+                // Only reached when BullMQ itself gives up (stall limit, unexpected errors)
+                this.worker.on('failed', (bullJob, error) => {
+                    if (bullJob) this.handleQueueFailure(bullJob, error);
+                });
+
+                logger.info('Queue Init: Worker started.');
             }
 
-            // Resume processing if there are pending jobs
-            this.processQueue();
+            await this.syncConcurrency();
+            await this.recoverOrphans();
         } catch (error) {
             logger.error(`Queue Init Failed: ${error.message}`);
+            throw error; // The entrypoints exit, nothing can run without the queue
         }
     }
 
+    /**
+     * Close Redis connections (running jobs are picked up again as stalled)
+     */
+    async close() {
+        if (this.worker) await this.worker.close(true);
+        if (this.queue) await this.queue.close();
+        if (this.subscriber) this.subscriber.disconnect();
+        if (this.publisher) this.publisher.disconnect();
+    }
+
+    /**
+     * Apply max_concurrent_jobs across all workers
+     */
+    async syncConcurrency() {
+        let settings = await Settings.findOne({ key: 'global' });
+        if (!settings) settings = {};
+        const concurrencyLimit = settings.max_concurrent_jobs || this.defaultConcurrency;
+
+        if (this.queue) await this.queue.setGlobalConcurrency(concurrencyLimit);
+        if (this.worker) this.worker.concurrency = concurrencyLimit;
+
+        logger.info(`Queue concurrency set to ${concurrencyLimit}`);
+    }
+
+    /**
+     * Re-enqueue jobs Mongo considers queued but Redis does not know about
+     * (e.g. Redis was flushed or down when they were added), and requeue
+     * running jobs whose queue entry is gone.
+     */
+    async recoverOrphans() {
+        const retryConfig = await this.getRetryConfig();
+        const jobs = await Job.find({ status: { $in: ['pending', 'retrying', 'running'] } });
+        let recovered = 0;
+
+        for (const job of jobs) {
+            const bullJob = job.queue_job_id ? await this.queue.getJob(job.queue_job_id) : null;
+            if (bullJob) {
+                const state = await bullJob.getState();
+                if (!['completed', 'failed', 'unknown'].includes(state)) continue;
+            }
+
+            if (job.status === 'running') {
+                const outcome = this.recordFailedAttempt(job, 'Job lost by the queue (worker or Redis restart)', retryConfig, 0);
+                await job.save();
+                if (outcome !== 'retrying') continue;
+            }
+
+            const delay = job.next_attempt_at ? Math.max(job.next_attempt_at.getTime() - Date.now(), 0) : 0;
+            await this.enqueue(job, delay);
+            recovered++;
+        }
+
+        if (recovered > 0) {
+            logger.info(`Queue Init: Re-enqueued ${recovered} jobs missing from Redis.`);
+        } else {
+            logger.info('Queue Init: Queue in sync with jobs.');
+        }
+    }
+
+    /**
+     * Retry settings with defaults applied
+     */
+    async getRetryConfig() {
+        const settings = await Settings.findOne({ key: 'global' });
+        const config = (settings && settings.job_retry_config) || {};
+
+        return {
+            max_attempts: config.max_attempts || 3,
+            backoff_base_seconds: config.backoff_base_seconds || 30,
+            backoff_max_seconds: config.backoff_max_seconds || 1800
+        };
+    }
+
+    /**
+     * Exponential backoff: base * 2^(attempt - 1), capped at max
+     */
+    getBackoffDelay(attempt, retryConfig) {
+        const seconds = retryConfig.backoff_base_seconds * Math.pow(2, Math.max(attempt - 1, 0));
+        return Math.min(seconds, retryConfig.backoff_max_seconds) * 1000;
+    }
+
+    /**
+     * Errors that will not go away by trying again (configuration, quota, bad input)
+     */
+    isRetryableError(error) {
+        return !PERMANENT_ERROR_PATTERNS.some(pattern => pattern.test(error.message || ''));
+    }
+
+    /**
+     * Record a failed attempt on the job and pick its next state (does not save)
+     * @returns {string} - 'retrying' | 'dead'
+     */
+    recordFailedAttempt(job, message, retryConfig, delayMs = null) {
+        const now = new Date();
+        const attempt = job.attempts || 1;
+        const maxAttempts = job.max_attempts || retryConfig.max_attempts;
+
+        job.attempt_errors.push({ attempt, error: message, failed_at: now });
+        job.error_message = message;
+
+        if (attempt < maxAttempts) {
+            const delay = delayMs !== null ? delayMs : this.getBackoffDelay(attempt, retryConfig);
+            job.status = 'retrying';
+            job.next_attempt_at = new Date(now.getTime() + delay);
+        } else {
+            job.status = 'dead';
+            job.next_attempt_at = undefined;
+            job.completed_at = now;
+        }
+
+        return job.status;
+    }
+
+    /**
+     * Owner key for fairness (scheduler jobs have no createdBy)
+     */
+    getOwnerKey(createdBy) {
+        return createdBy ? createdBy.toString() : 'system';
+    }
+
+    /**
+     * Job.priority within the supported levels
+     */
+    clampPriority(priority) {
+        return Math.min(Math.max(parseInt(priority) || 0, PRIORITY_MIN), PRIORITY_MAX);
+    }
+
+    /**
+     * BullMQ priority for a job: priority band first, then the owner's
+     * position among their own waiting jobs (round-robin across users).
+     */
+    async getQueuePriority(job) {
+        const band = PRIORITY_MAX - this.clampPriority(job.priority);
+
+        const ahead = await Job.countDocuments({
+            _id: { $ne: job._id },
+            createdBy: job.createdBy || null,
+            status: { $in: ['pending', 'retrying'] },
+            createdAt: { $lt: job.createdAt || new Date() }
+        });
+
+        return 1 + band * USER_SLOT + Math.min(ahead, USER_SLOT - 1);
+    }
+
+    /**
+     * One of the owner's jobs just started: renumber their waiting entries from 0.
+     * changePriority also puts them after entries already at the same priority,
+     * so the next slot in the band goes to another user before this one again.
+     */
+    async rotateOwner(job) {
+        const waiting = await Job.find({
+            createdBy: job.createdBy || null,
+            status: 'pending',
+            queue_job_id: { $exists: true }
+        }).sort({ createdAt: 1 });
+
+        for (const other of waiting) {
+            try {
+                const bullJob = await this.queue.getJob(other.queue_job_id);
+                if (!bullJob || !['prioritized', 'waiting'].includes(await bullJob.getState())) continue;
+
+                const priority = await this.getQueuePriority(other);
+                await bullJob.changePriority({ priority });
+            } catch (error) {
+                // Picked up by another worker meanwhile, its order no longer matters
+                logger.debug(`Queue: could not re-rank ${other.job_id}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Put a Job document on the Redis queue
+     * @param {Object} job - Job document
+     * @param {number} delay - Milliseconds before it becomes runnable
+     */
+    async enqueue(job, delay = 0) {
+        const queueJobId = `${job.job_id}.${(job.attempts || 0) + 1}`;
+        const priority = await this.getQueuePriority(job);
+
+        // BullMQ ignores an add whose id it still holds: drop a finished entry
+        // kept by removeOnComplete/removeOnFail (e.g. recoverOrphans after a restart)
+        const stale = await this.queue.getJob(queueJobId);
+        if (stale && ['completed', 'failed'].includes(await stale.getState())) {
+            await stale.remove();
+        }
+
+        await this.queue.add('scrape', { job_id: job.job_id }, {
+            jobId: queueJobId,
+            priority,
+            delay,
+            attempts: 1, // Retries are handled on the Job document
+            removeOnComplete: 1000,
+            removeOnFail: 1000
+        });
+
+        await Job.updateOne({ _id: job._id }, { $set: { queue_job_id: queueJobId } });
+        job.queue_job_id = queueJobId;
+    }
+
     /**
      * Add a job to the queue
      * @param {Object} jobData - Data to create a Job document
@@ -50,17 +314,20 @@ class JobQueue {
      */
     async addJob(jobData) {
         try {
+            const retryConfig = await this.getRetryConfig();
+
             // Create the job with 'pending' status
             const job = new Job({
                 ...jobData,
+                max_attempts: jobData.max_attempts || retryConfig.max_attempts,
                 status: 'pending'
             });
             await job.save();
 
-            logger.info(`Job ${job.job_id} added to queue.`);
+            await this.enqueue(job);
 
-            // Trigger processing
-            this.processQueue();
+            logger.info(`Job ${job.job_id} added to queue.`);
+            jobEvents.phase(job.job_id, 'queued');
 
             return job;
         } catch (error) {
@@ -70,86 +337,230 @@ class JobQueue {
     }
 
     /**
-     * Process the queue
+     * BullMQ processor: claim the Job document and run it
      */
-    async processQueue() {
-        if (this.isProcessing) return; // Simple lock (mostly for single instance)
-        this.isProcessing = true;
+    async processBullJob(bullJob, token) {
+        const jobId = bullJob.data.job_id;
+        let job = await Job.findOne({ job_id: jobId });
 
-        try {
-            // Get settings for concurrency
-            let settings = await Settings.findOne({ key: 'global' });
-            if (!settings) settings = {};
-            const concurrencyLimit = settings.max_concurrent_jobs || this.defaultConcurrency;
+        if (!job || !['pending', 'retrying', 'running'].includes(job.status)) {
+            logger.info(`Job ${jobId} is no longer queued (${job ? job.status : 'missing'}), skipping.`);
+            return;
+        }
 
-            // Check how many are running
-            const runningCount = await Job.countDocuments({ status: 'running' });
+        // Only a stalled delivery finds the document still running:
+        // the previous worker died mid-job, so that attempt counts as failed.
+        if (job.status === 'running') {
+            const retryConfig = await this.getRetryConfig();
+            const outcome = this.recordFailedAttempt(job, 'Worker stalled (process crashed or lost Redis connection)', retryConfig, 0);
+            await job.save();
+            logger.warn(`Job ${jobId} recovered from stalled worker, now ${outcome}.`);
 
-            if (runningCount >= concurrencyLimit) {
-                logger.info(`Queue paused: ${runningCount}/${concurrencyLimit} jobs running.`);
-                this.isProcessing = false;
+            if (outcome !== 'retrying') {
+                jobEvents.phase(jobId, outcome, { error: job.error_message });
                 return;
             }
+        }
 
-            const slotsAvailable = concurrencyLimit - runningCount;
+        const previousStatus = job.status;
+
+        // Claim the job atomically so a cancel issued meanwhile is not overwritten
+        const claimed = await Job.findOneAndUpdate(
+            { _id: job._id, status: { $in: ['pending', 'retrying'] } },
+            {
+                $set: { status: 'running', started_at: new Date() },
+                $unset: { next_attempt_at: '' },
+                $inc: { attempts: 1 }
+            },
+            { new: true }
+        );
+
+        if (!claimed) {
+            logger.info(`Job ${jobId} is no longer pending, skipping.`);
+            return;
+        }
 
-            // Get next pending jobs
-            const pendingJobs = await Job.find({ status: 'pending' })
-                .sort({ createdAt: 1 }) // FIFO
-                .limit(slotsAvailable);
+        // Per-user cap, counted after claiming so two workers cannot both slip through
+        const settings = await Settings.findOne({ key: 'global' });
+        const perUserLimit = (settings && settings.max_concurrent_jobs_per_user) || 0; // 0 = no cap
+
+        if (perUserLimit > 0) {
+            const running = await Job.countDocuments({ createdBy: claimed.createdBy || null, status: 'running' });
+
+            if (running > perUserLimit) {
+                await Job.updateOne(
+                    { _id: claimed._id, status: 'running' },
+                    { $set: { status: previousStatus }, $inc: { attempts: -1 }, $unset: { started_at: '' } }
+                );
+                logger.info(`Job ${jobId} delayed: owner ${this.getOwnerKey(claimed.createdBy)} has ${running - 1}/${perUserLimit} jobs running.`);
+                await bullJob.moveToDelayed(Date.now() + USER_CAP_DELAY_MS, token);
+                throw new DelayedError();
+            }
+        }
 
-            if (pendingJobs.length === 0) {
-                this.isProcessing = false;
-                return;
+        await this.rotateOwner(claimed);
+        await this.executeJob(claimed);
+    }
+
+    /**
+     * BullMQ failed the queue entry (stall limit exceeded or unexpected error)
+     */
+    async handleQueueFailure(bullJob, error) {
+        try {
+            const job = await Job.findOne({ job_id: bullJob.data.job_id });
+            if (!job || job.status !== 'running' || job.queue_job_id !== bullJob.id) return;
+
+            const retryConfig = await this.getRetryConfig();
+            const outcome = this.recordFailedAttempt(job, `Queue failure: ${error.message}`, retryConfig);
+            await job.save();
+
+            if (outcome === 'retrying') {
+                await this.enqueue(job, job.next_attempt_at.getTime() - Date.now());
             }
+            jobEvents.phase(job.job_id, outcome, { error: job.error_message, next_attempt_at: job.next_attempt_at });
+        } catch (err) {
+            logger.error(`Failed to handle queue failure for ${bullJob.id}: ${err.message}`);
+        }
+    }
 
-            logger.info(`Processing ${pendingJobs.length} jobs from queue...`);
+    /**
+     * Merge provider outcomes with the deduplicator's per-query stats
+     * @param {Object} job - Job document
+     * @param {Array} outcomes - query_outcomes from the provider (Places only)
+     * @param {Object} byQuery - stats.by_query from the deduplicator
+     * @returns {Array} - One entry per job query, plus any unattributed records
+     */
+    buildQueryOutcomes(job, outcomes, byQuery = {}) {
+        const entries = (outcomes || []).map(o => ({ ...o }));
+        const queries = [...new Set([...job.queries, ...Object.keys(byQuery)])];
+
+        queries.forEach(query => {
+            let entry = entries.find(e => e.query === query);
+            const counts = byQuery[query];
+
+            if (!entry) {
+                // Scraper jobs have no provider outcome, derive one from the records
+                entry = { query, status: counts && counts.raw_hits > 0 ? 'success' : 'empty', results: 0, pages: 0 };
+                entries.push(entry);
+            }
+            if (!counts) return;
 
-            // Process each job (in parallel up to slots)
-            const promises = pendingJobs.map(job => this.executeJob(job));
+            entry.results = Math.max(entry.results || 0, counts.raw_hits);
+            entry.passed = counts.passed;
+            entry.new = counts.new;
+            entry.updated = counts.updated;
+            entry.skipped = counts.skipped;
+            entry.skip_reasons = counts.skip_reasons;
+        });
 
-            // We don't await all of them to block, but we want to know when they are "started"
-            // Actually, we should just fire and forget them? No, we need to track them.
-            // But processQueue is async.
+        return entries;
+    }
 
-            await Promise.allSettled(promises);
+    /**
+     * Place Details pass over a job's businesses (config.enrich_details)
+     * Its failure does not fail the job, the businesses are already stored.
+     * @returns {Promise<Object>} - Job.enrichment
+     */
+    async runEnrichment(job, signal) {
+        jobEvents.phase(job.job_id, 'enriching');
 
-            // Check if more jobs can be run (in case one finished super fast or we have more slots)
-            this.processQueue();
+        // true uses the job's Text Search tier, or name a tier
+        const level = typeof job.config.enrich_details === 'string' ? job.config.enrich_details : job.config.fields_level;
 
+        try {
+            const summary = await placeEnrichment.enrichJob(job, { fieldsLevel: level, jobId: job.job_id, userId: job.createdBy, signal });
+            return { ...summary, finished_at: new Date() };
         } catch (error) {
-            logger.error(`Queue processing error: ${error.message}`);
-        } finally {
-            this.isProcessing = false;
+            logger.error(`Enrichment of job ${job.job_id} failed: ${error.message}`);
+            return { error: error.message, finished_at: new Date() };
         }
     }
 
     /**
-     * Execute a single job (The logic moved from controller)
-     * @param {Object} job
+     * Enrich job: Place Details for the businesses job.enrich_of found
+     * Failures fail the job (unlike the config.enrich_details stage), so it can be retried.
+     * @returns {Promise<Object>} - Job.enrichment
+     */
+    async runEnrichJob(job, signal) {
+        const source = await Job.findOne({ job_id: job.enrich_of });
+        if (!source) {
+            throw new Error(`Job ${job.enrich_of} to enrich not found`);
+        }
+
+        jobEvents.phase(job.job_id, 'enriching', { attempt: job.attempts });
+
+        const config = job.config || {};
+        const summary = await placeEnrichment.enrichJob(source, {
+            fieldsLevel: config.fields_level,
+            force: config.force === true,
+            limit: config.limit || null,
+            jobId: job.job_id,
+            userId: job.createdBy,
+            signal
+        });
+        return { ...summary, finished_at: new Date() };
+    }
+
+    /**
+     * Execute a single claimed job (The logic moved from controller)
+     * @param {Object} job - Job document in 'running' state
      */
     async executeJob(job) {
+        const controller = new AbortController();
+        this.controllers.set(job.job_id, controller);
+
         try {
-            logger.info(`Starting job ${job.job_id} from queue`);
+            logger.info(`Starting job ${job.job_id} from queue (attempt ${job.attempts}/${job.max_attempts || '?'})`);
+
+            let scrapeResult = {};
+            let stats;
+
+            if (job.type === 'enrich') {
+                // Place Details for another job's businesses, nothing is scraped
+                job.enrichment = await this.runEnrichJob(job, controller.signal);
+                stats = { total: job.enrichment.enriched, new: 0, updated: job.enrichment.enriched };
+            } else if (job.type === 'reprocess') {
+                // Replay stored raw data, nothing is scraped
+                jobEvents.phase(job.job_id, 'deduplicating', { attempt: job.attempts });
+                stats = await processorService.reprocessRaw(job.reprocess_of, job.job_id, job.createdBy);
+            } else {
+                jobEvents.phase(job.job_id, 'scraping', { attempt: job.attempts });
+                await jobLogs.start(job.job_id, job.attempts);
 
-            job.status = 'running';
-            job.started_at = new Date();
-            await job.save();
+                // Execute scraper
+                scrapeResult = await scraperService.executeScrape(job.queries, job.job_id, job.config || {}, controller.signal, job.createdBy);
 
-            // Execute scraper
-            const scrapeResult = await scraperService.executeScrape(job.queries, job.job_id, job.config || {});
+                if (controller.signal.aborted) {
+                    throw new Error('Job cancelled');
+                }
+
+                // Determine provider
+                const provider = scrapeResult.provider || (job.config && job.config.provider) || 'google_places';
+
+                jobEvents.phase(job.job_id, 'deduplicating');
 
-            // Determine provider
-            const provider = scrapeResult.provider || (job.config && job.config.provider) || 'google_places';
+                // Process results
+                stats = await processorService.processOutput(
+                    scrapeResult.local_path,
+                    job.queries.join(', '),
+                    job.job_id,
+                    provider,
+                    job.createdBy, // Pass user ID for ownership tracking
+                    { queries: job.queries }
+                );
+            }
+
+            if (controller.signal.aborted) {
+                throw new Error('Job cancelled');
+            }
 
-            // Process results
-            const stats = await processorService.processOutput(
-                scrapeResult.local_path,
-                job.queries.join(', '),
-                job.job_id,
-                provider,
-                job.createdBy // Pass user ID for ownership tracking
-            );
+            if (job.config && job.config.enrich_details) {
+                job.enrichment = await this.runEnrichment(job, controller.signal);
+
+                if (controller.signal.aborted) {
+                    throw new Error('Job cancelled');
+                }
+            }
 
             // Update job success
             job.status = 'completed';
@@ -159,6 +570,46 @@ class JobQueue {
             job.new_businesses = stats.new;
             job.updated_businesses = stats.updated;
 
+            if (stats.filtration) {
+                job.filtration_stats = stats.filtration;
+            }
+
+            if (stats.throughput) {
+                job.ingestion = stats.throughput;
+            }
+
+            if (stats.schema_reports) {
+                job.schema_reports = stats.schema_reports;
+            }
+
+            if (scrapeResult.container) {
+                job.container = scrapeResult.container;
+            }
+
+            if (scrapeResult.grid_cells) {
+                job.grid_cells = scrapeResult.grid_cells;
+            }
+
+            if (scrapeResult.places_cache) {
+                job.places_cache = scrapeResult.places_cache;
+            }
+
+            if (scrapeResult.proxies) {
+                job.proxies = scrapeResult.proxies;
+            }
+
+            if (stats.diff) {
+                job.reprocess_diff = stats.diff;
+            }
+
+            if (job.type !== 'enrich') {
+                job.query_outcomes = this.buildQueryOutcomes(job, scrapeResult.query_outcomes, stats.by_query);
+            }
+
+            if (scrapeResult.output_file) {
+                job.output_file = scrapeResult.output_file;
+            }
+
             if (scrapeResult.cloudinary_url) {
                 job.cloudinary_url = scrapeResult.cloudinary_url;
                 job.cloudinary_public_id = scrapeResult.cloudinary_public_id;
@@ -174,20 +625,125 @@ class JobQueue {
             }
 
             logger.info(`Job ${job.job_id} completed successfully`);
+            jobEvents.phase(job.job_id, 'done', {
+                results_count: job.results_count,
+                new_businesses: job.new_businesses,
+                updated_businesses: job.updated_businesses
+            });
 
         } catch (error) {
+            if (controller.signal.aborted) {
+                // Status was already set by cancelJob
+                logger.info(`Job ${job.job_id} stopped after cancellation`);
+                jobEvents.phase(job.job_id, 'cancelled');
+                return;
+            }
+
             logger.error(`Job ${job.job_id} failed: ${error.message}`);
 
-            job.status = 'failed';
-            job.completed_at = new Date();
-            job.error_message = error.message;
-            await job.save();
+            try {
+                if (error.container) {
+                    job.container = error.container;
+                }
+
+                if (this.isRetryableError(error)) {
+                    const retryConfig = await this.getRetryConfig();
+                    const outcome = this.recordFailedAttempt(job, error.message, retryConfig);
+
+                    if (outcome === 'retrying') {
+                        logger.info(`Job ${job.job_id} will retry at ${job.next_attempt_at.toISOString()}`);
+                    } else {
+                        logger.warn(`Job ${job.job_id} exhausted ${job.attempts} attempts, moved to dead.`);
+                    }
+                } else {
+                    job.status = 'failed';
+                    job.completed_at = new Date();
+                    job.error_message = error.message;
+                    job.attempt_errors.push({ attempt: job.attempts, error: error.message, failed_at: new Date() });
+                }
+                await job.save();
+
+                if (job.status === 'retrying') {
+                    await this.enqueue(job, job.next_attempt_at.getTime() - Date.now());
+                }
+
+                jobEvents.phase(job.job_id, job.status, {
+                    error: error.message,
+                    next_attempt_at: job.next_attempt_at
+                });
+            } catch (saveError) {
+                logger.error(`Failed to record failure for job ${job.job_id}: ${saveError.message}`);
+            }
         } finally {
-            // Trigger queue to check for next job
-            // Using setImmediate to break stack
-            setTimeout(() => this.processQueue(), 1000);
+            this.controllers.delete(job.job_id);
+            await jobLogs.finish(job.job_id);
         }
     }
+
+    /**
+     * Abort a job if this instance is running it
+     * @returns {boolean} - Whether a local run was aborted
+     */
+    abortLocal(jobId) {
+        const controller = this.controllers.get(jobId);
+        if (!controller) return false;
+
+        logger.info(`Aborting running job ${jobId}`);
+        controller.abort();
+        return true;
+    }
+
+    /**
+     * Cancel a pending or running job
+     * Queued jobs are removed from Redis, running jobs get their scraper
+     * aborted on whichever instance is executing them.
+     * @param {Object} job - Job document
+     * @param {string} userId - User cancelling the job
+     * @returns {Promise<Object|null>} - Updated Job, or null if it already finished
+     */
+    async cancelJob(job, userId) {
+        const now = new Date();
+        const update = {
+            $set: {
+                status: 'cancelled',
+                cancelled_at: now,
+                cancelled_by: userId,
+                completed_at: now
+            }
+        };
+
+        const cancelled = await Job.findOneAndUpdate(
+            { _id: job._id, status: { $in: ['pending', 'retrying', 'running'] } },
+            update,
+            { new: true }
+        );
+
+        if (!cancelled) return null;
+
+        if (cancelled.started_at) {
+            cancelled.duration_seconds = Math.floor((now - cancelled.started_at) / 1000);
+            await cancelled.save();
+        }
+
+        // The job may be running on another instance, so broadcast the abort
+        if (!this.abortLocal(cancelled.job_id)) {
+            await this.publisher.publish(CANCEL_CHANNEL, cancelled.job_id);
+        }
+
+        // Waiting/delayed entries are dropped (active ones are locked and skip themselves)
+        const bullJob = cancelled.queue_job_id ? await this.queue.getJob(cancelled.queue_job_id) : null;
+        if (bullJob && !(await bullJob.isActive())) {
+            await bullJob.remove().catch(err => logger.warn(`Could not remove queue entry ${bullJob.id}: ${err.message}`));
+        }
+
+        if (job.status !== 'running') {
+            jobEvents.phase(cancelled.job_id, 'cancelled');
+        }
+
+        logger.info(`Job ${cancelled.job_id} cancelled by ${userId}`);
+
+        return cancelled;
+    }
 }
 
 module.exports = new JobQueue();
@@ -0,0 +1,134 @@
+// Google limits (Places API (New) Nearby Search)
+const MAX_RADIUS_M = 50000;
+const MAX_TYPES = 50;
+const RANK_PREFERENCES = ['popularity', 'distance'];
+
+// Place types are lowercase snake_case ("restaurant", "dental_clinic")
+const TYPE_PATTERN = /^[a-z0-9_]+$/;
+
+/**
+ * Nearby Search territory sweeps (search_mode: 'nearby')
+ * One search per included type within a circle. Each type becomes a job query
+ * ("restaurant within 1500m of 40.7128,-74.006"), so freshness checks, query
+ * outcomes and retries work as they do for text queries.
+ */
+class NearbySearchService {
+    /**
+     * Validate a nearby option from startScrape / schedules
+     * @param {Object} raw - { lat, lng, radius_m, included_types, rank_preference }
+     * @returns {Object} - Normalized config
+     * @throws {Error} - Message suitable for a 400 response
+     */
+    normalize(raw) {
+        if (!raw || typeof raw !== 'object') {
+            throw new Error('search_mode nearby needs nearby { lat, lng, radius_m, included_types }');
+        }
+
+        const lat = parseFloat(raw.lat);
+        const lng = parseFloat(raw.lng);
+        const radius = parseFloat(raw.radius_m);
+        if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+            throw new Error('nearby needs a numeric lat (-90 to 90) and lng (-180 to 180)');
+        }
+        if (!(radius > 0) || radius > MAX_RADIUS_M) {
+            throw new Error(`nearby radius_m must be between 0 and ${MAX_RADIUS_M}`);
+        }
+
+        const types = Array.isArray(raw.included_types) ? raw.included_types : [];
+        const includedTypes = [...new Set(types.map(type => String(type).trim().toLowerCase()))];
+        if (includedTypes.length === 0 || includedTypes.length > MAX_TYPES) {
+            throw new Error(`nearby included_types must list 1 to ${MAX_TYPES} place types`);
+        }
+        const invalid = includedTypes.find(type => !TYPE_PATTERN.test(type));
+        if (invalid !== undefined) {
+            throw new Error(`nearby included_types: "${invalid}" is not a place type (e.g. restaurant, dental_clinic)`);
+        }
+
+        const nearby = {
+            // ~10cm precision keeps labels stable between runs
+            lat: Number(lat.toFixed(6)),
+            lng: Number(lng.toFixed(6)),
+            radius_m: Math.round(radius),
+            included_types: includedTypes
+        };
+
+        if (raw.rank_preference) {
+            const rank = String(raw.rank_preference).toLowerCase();
+            if (!RANK_PREFERENCES.includes(rank)) {
+                throw new Error(`nearby rank_preference must be one of ${RANK_PREFERENCES.join(', ')}`);
+            }
+            nearby.rank_preference = rank;
+        }
+
+        return nearby;
+    }
+
+    /**
+     * Read search_mode / nearby from a startScrape body or a schedule config
+     * Queries are built from the included types; typed queries (other than those
+     * same queries, e.g. a schedule sent back unchanged), templates and grids are refused.
+     * @param {Object} options - { search_mode, nearby, provider, queries, query_builder, geo_grid }
+     * @returns {Object|null} - Normalized nearby config, null for Text Search
+     * @throws {Error} - Message suitable for a 400 response
+     */
+    fromRequest({ search_mode, nearby, provider, queries, query_builder, geo_grid }) {
+        if (search_mode === undefined || search_mode === null || search_mode === 'text') return null;
+        if (search_mode !== 'nearby') {
+            throw new Error("search_mode must be 'text' or 'nearby'");
+        }
+        if (provider && provider !== 'google_places') {
+            throw new Error('search_mode nearby is only available with the google_places provider');
+        }
+
+        const normalized = this.normalize(nearby);
+        const labels = this.queries(normalized);
+        const typed = (Array.isArray(queries) ? queries : []).filter(q => !labels.includes(String(q).trim().toLowerCase()));
+        if (typed.length > 0 || query_builder || geo_grid) {
+            throw new Error('search_mode nearby builds its queries from nearby.included_types, leave out queries, query_builder and geo_grid');
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Job query for one type
+     */
+    label(nearby, type) {
+        return `${type} within ${nearby.radius_m}m of ${nearby.lat},${nearby.lng}`;
+    }
+
+    /**
+     * Job queries, one per included type
+     */
+    queries(nearby) {
+        return nearby.included_types.map(type => this.label(nearby, type));
+    }
+
+    /**
+     * Query -> type, for freshness category overrides
+     */
+    categories(nearby) {
+        return Object.fromEntries(nearby.included_types.map(type => [this.label(nearby, type), type]));
+    }
+
+    /**
+     * Type a job query was built from, null for a query outside this sweep
+     */
+    typeFor(nearby, query) {
+        return nearby.included_types.find(type => this.label(nearby, type) === query) || null;
+    }
+
+    /**
+     * Nearby Search locationRestriction
+     */
+    toCircle(nearby) {
+        return {
+            circle: {
+                center: { latitude: nearby.lat, longitude: nearby.lng },
+                radius: nearby.radius_m
+            }
+        };
+    }
+}
+
+module.exports = new NearbySearchService();
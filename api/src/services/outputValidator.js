@@ -0,0 +1,130 @@
+const { getOutputSchema } = require('../config/outputSchemas');
+
+// Distinct unknown field names tracked per run (a broken file can have endless keys)
+const MAX_UNKNOWN_FIELDS = 50;
+
+/**
+ * Validates provider output records against config/outputSchemas
+ * A run collects drift across all records of a job: fields the schema does not
+ * know, fields the provider always emits that went missing, and type changes.
+ */
+class OutputValidatorService {
+    /**
+     * Start validating a job's records
+     * @param {string} provider - 'scraper' | 'google_places'
+     * @returns {Object|null} - Run state, null when the provider has no schema
+     */
+    createRun(provider) {
+        const schema = getOutputSchema(provider);
+        if (!schema) return null;
+
+        return {
+            provider,
+            schema,
+            validated: 0,
+            quarantined: 0,
+            seen: {}, // schema field -> records that had it
+            unknown: new Map(), // field -> records that had it
+            mismatches: {} // schema field -> records with the wrong type
+        };
+    }
+
+    /**
+     * Check one record
+     * Only required and identity fields make it invalid; optional fields of the
+     * wrong type are counted as drift and the record is kept.
+     * @returns {Array<string>} - Validation errors, empty when the record is valid
+     */
+    validate(run, record) {
+        run.validated++;
+
+        const data = this.unwrap(record, run.provider);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            run.quarantined++;
+            return ['record is not an object'];
+        }
+
+        const errors = [];
+        const { fields } = run.schema;
+
+        for (const [field, spec] of Object.entries(fields)) {
+            const value = data[field];
+            if (value === undefined) {
+                if (spec.required) errors.push(`${field} is required`);
+                continue;
+            }
+            run.seen[field] = (run.seen[field] || 0) + 1;
+
+            // Go encodes nil slices/maps as null
+            if (value === null || (spec.required && value === '')) {
+                if (spec.required) errors.push(`${field} is required`);
+                continue;
+            }
+
+            const actual = this.typeOf(value);
+            if (actual !== spec.type) {
+                run.mismatches[field] = (run.mismatches[field] || 0) + 1;
+                if (spec.required || spec.identity) {
+                    errors.push(`${field} should be ${spec.type}, got ${actual}`);
+                }
+            }
+        }
+
+        Object.keys(data).forEach(field => {
+            if (fields[field]) return;
+            if (run.unknown.has(field) || run.unknown.size < MAX_UNKNOWN_FIELDS) {
+                run.unknown.set(field, (run.unknown.get(field) || 0) + 1);
+            }
+        });
+
+        if (errors.length > 0) run.quarantined++;
+        return errors;
+    }
+
+    // Scraper records may be wrapped in { data: {...} } (see DeduplicatorService.normalizeBusiness)
+    unwrap(record, provider) {
+        return provider === 'scraper' && record && record.data && typeof record.data === 'object'
+            ? record.data
+            : record;
+    }
+
+    typeOf(value) {
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    /**
+     * Job.schema_reports entry for a finished run
+     */
+    buildReport(run) {
+        const toList = counts => Object.entries(counts)
+            .map(([field, count]) => ({ field, count }))
+            .sort((a, b) => b.count - a.count);
+
+        // Fields the provider always emits, counted by records that lacked them
+        const missing = {};
+        if (run.validated > 0) {
+            Object.entries(run.schema.fields).forEach(([field, spec]) => {
+                const absent = run.validated - (run.seen[field] || 0);
+                if (spec.always && absent > 0) missing[field] = absent;
+            });
+        }
+
+        const report = {
+            provider: run.provider,
+            schema_version: run.schema.version,
+            validated: run.validated,
+            quarantined: run.quarantined,
+            unknown_fields: toList(Object.fromEntries(run.unknown)),
+            missing_fields: toList(missing),
+            type_mismatches: toList(run.mismatches)
+        };
+        report.drift = report.unknown_fields.length > 0
+            || report.missing_fields.length > 0
+            || report.type_mismatches.length > 0;
+
+        return report;
+    }
+}
+
+module.exports = new OutputValidatorService();
@@ -0,0 +1,244 @@
+const Business = require('../models/Business');
+const GooglePlaceRaw = require('../models/GooglePlaceRaw');
+const ScraperRaw = require('../models/ScraperRaw');
+const Settings = require('../models/Settings');
+const logger = require('../utils/logger');
+const googlePlaces = require('./googlePlaces');
+const jobEvents = require('./jobEvents');
+const usageLedger = require('./usageLedger');
+const apiKeyPool = require('./apiKeyPool');
+
+// Field tiers, cheapest first (see docs/SCRAPING_README.md "Data Levels")
+const FIELD_LEVELS = ['basic', 'contact', 'atmosphere'];
+
+// Cost guard: businesses enriched per API request (job stages are only bound by the daily limit)
+const MAX_BUSINESSES_PER_REQUEST = 200;
+
+// Errors kept on the summary
+const MAX_ERRORS = 10;
+
+// Scraper-only businesses are keyed by their numeric Maps cid, which Place Details does not accept
+const CID_PATTERN = /^\d+$/;
+
+/**
+ * Place Details enrichment
+ * Text Search field masks leave out reviews, the editorial summary and the
+ * address components. This pass fetches them per business, within the
+ * google_places_config daily limit.
+ */
+class PlaceEnrichmentService {
+    /**
+     * Validate a fields level option
+     * @returns {string|null} - Error message or null
+     */
+    validateLevel(level) {
+        if (level === undefined || level === null || FIELD_LEVELS.includes(level)) return null;
+        return `fields_level must be one of ${FIELD_LEVELS.join(', ')}`;
+    }
+
+    /**
+     * Businesses one API request may enrich
+     */
+    requestLimit(limit) {
+        return Math.min(parseInt(limit) || MAX_BUSINESSES_PER_REQUEST, MAX_BUSINESSES_PER_REQUEST);
+    }
+
+    /**
+     * Filter for businesses not yet enriched at this tier or a higher one
+     */
+    pendingFilter(level) {
+        return {
+            $or: [
+                { 'enrichment.enriched_at': { $exists: false } },
+                { 'enrichment.fields_level': { $nin: FIELD_LEVELS.slice(FIELD_LEVELS.indexOf(level)) } }
+            ]
+        };
+    }
+
+    /**
+     * place_ids of the businesses a job found (reprocess jobs replay another job's raw data)
+     */
+    async findJobPlaceIds(job) {
+        const rawJobId = job.reprocess_of || job.job_id;
+        const [placesIds, scraperIds] = await Promise.all([
+            GooglePlaceRaw.distinct('place_id', { job_id: rawJobId, quarantined: { $ne: true } }),
+            ScraperRaw.distinct('place_id', { job_id: rawJobId, quarantined: { $ne: true } })
+        ]);
+        return [...new Set([...placesIds, ...scraperIds])].filter(Boolean);
+    }
+
+    /**
+     * Enrich the businesses matching a filter
+     * @param {Object} filter - Business filter
+     * @param {Object} options
+     * @param {string} options.fieldsLevel - Details tier (defaults to google_places_config.fields_level)
+     * @param {boolean} options.force - Also re-fetch businesses already enriched at this tier
+     * @param {number} options.limit - Most businesses to fetch
+     * @param {string} options.jobId - Publishes enrichment_progress events for this job
+     * @param {string} options.userId - Requesting user (usage ledger)
+     * @param {AbortSignal} options.signal - Stops between businesses
+     * @returns {Promise<Object>} - Summary (matched, enriched, failed, remaining, ...)
+     */
+    async enrich(filter, { fieldsLevel = null, force = false, limit = null, jobId = null, userId = null, signal = null } = {}) {
+        const settings = await Settings.findOne({ key: 'global' });
+        if (!settings || !apiKeyPool.hasKeys(settings.google_places_config)) {
+            throw new Error('Google Places API not configured or missing API Key');
+        }
+
+        const gpConfig = settings.google_places_config;
+        const level = fieldsLevel || gpConfig.fields_level || 'contact';
+        const conditions = [filter, { place_id: { $not: CID_PATTERN } }];
+        if (!force) conditions.push(this.pendingFilter(level));
+        const query = { $and: conditions };
+
+        const total = await Business.countDocuments(query);
+        const withoutPlacesId = await Business.countDocuments({ $and: [filter, { place_id: CID_PATTERN }] });
+        let cursor = Business.find(query).sort({ _id: 1 });
+        if (limit) cursor = cursor.limit(limit);
+        const businesses = await cursor;
+
+        const summary = {
+            fields_level: level,
+            matched: total,
+            enriched: 0,
+            failed: 0,
+            without_places_id: withoutPlacesId, // Scraper-only businesses, not enrichable
+            remaining: 0, // Still to enrich (limit, daily limit or cancellation)
+            api_calls: 0,
+            errors: []
+        };
+        for (const business of businesses) {
+            if (signal && signal.aborted) break;
+
+            try {
+                const tracked = await usageLedger.track(
+                    { operation: 'place_details', job_id: jobId, user: userId, fields_level: level, target: business.place_id },
+                    (apiKey, onRetry) => googlePlaces.getPlaceDetails(business.place_id, apiKey, level, signal, onRetry)
+                );
+
+                if (!tracked) {
+                    logger.warn(`Daily API limit reached during enrichment. Stopping.`);
+                    summary.stopped_by = 'daily_limit';
+                    break;
+                }
+                summary.api_calls++;
+
+                this.applyDetails(business, tracked.result, level);
+                await business.save();
+                summary.enriched++;
+            } catch (err) {
+                if (signal && signal.aborted) break;
+
+                logger.error(`Place Details failed for ${business.place_id}: ${err.message}`);
+                summary.failed++;
+                if (summary.errors.length < MAX_ERRORS) {
+                    summary.errors.push({ place_id: business.place_id, error: err.message });
+                }
+            }
+
+            if (jobId) {
+                jobEvents.publish(jobId, 'enrichment_progress', {
+                    enriched: summary.enriched,
+                    failed: summary.failed,
+                    total
+                });
+            }
+        }
+
+        summary.remaining = total - summary.enriched - summary.failed;
+
+        logger.info(`Enriched ${summary.enriched}/${total} businesses (${level}, ${summary.failed} failed, ${summary.remaining} remaining)`);
+        return summary;
+    }
+
+    /**
+     * Businesses found by a job (job stage and POST /admin/jobs/:id/enrich)
+     */
+    async enrichJob(job, options = {}) {
+        const placeIds = await this.findJobPlaceIds(job);
+        return this.enrich({ place_id: { $in: placeIds } }, options);
+    }
+
+    /**
+     * Copy Place Details onto a business (not saved)
+     * The structured address comes from Places and replaces the scraper's; other
+     * contact fields are only filled when missing, like the deduplicator merge.
+     */
+    applyDetails(business, place, level) {
+        const address = this.parseAddressComponents(place.addressComponents);
+        Object.entries(address).forEach(([field, value]) => {
+            if (value) business[field] = value;
+        });
+
+        const fill = {
+            address: place.formattedAddress,
+            phone: place.nationalPhoneNumber,
+            international_phone: place.internationalPhoneNumber,
+            website: place.websiteUri,
+            latitude: place.location?.latitude,
+            longitude: place.location?.longitude,
+            working_hours: place.regularOpeningHours
+        };
+        Object.entries(fill).forEach(([field, value]) => {
+            if (!business[field] && value !== undefined && value !== null && value !== '') {
+                business[field] = value;
+            }
+        });
+
+        // Ratings change over time, the latest value wins
+        if (place.rating !== undefined) business.rating = place.rating;
+        if (place.userRatingCount !== undefined) business.review_count = place.userRatingCount;
+
+        if (place.editorialSummary?.text) {
+            business.editorial_summary = place.editorialSummary.text;
+        }
+        if (Array.isArray(place.reviews)) {
+            business.reviews = place.reviews.map(review => ({
+                author: review.authorAttribution?.displayName,
+                rating: review.rating,
+                text: review.text?.text || review.originalText?.text,
+                published_at: review.publishTime
+            }));
+        }
+        if (Array.isArray(place.addressComponents)) {
+            business.address_components = place.addressComponents;
+        }
+
+        if (!business.sources.some(s => s.type === 'google_places')) {
+            business.sources.push({ type: 'google_places' });
+        }
+
+        business.enrichment = { enriched_at: new Date(), fields_level: level };
+    }
+
+    /**
+     * Business city/state/zip/country from Places address components
+     * State and country use the short form ("TX", "US").
+     */
+    parseAddressComponents(components) {
+        if (!Array.isArray(components)) return {};
+
+        const find = (...types) => {
+            for (const type of types) {
+                const component = components.find(c => (c.types || []).includes(type));
+                if (component) return component;
+            }
+            return null;
+        };
+
+        // Some places have no locality (e.g. NYC boroughs, UK post towns)
+        const city = find('locality', 'postal_town', 'sublocality_level_1', 'sublocality', 'administrative_area_level_3');
+        const state = find('administrative_area_level_1');
+        const zip = find('postal_code');
+        const country = find('country');
+
+        return {
+            city: city?.longText,
+            state: state?.shortText || state?.longText,
+            zip: zip?.longText,
+            country: country?.shortText || country?.longText
+        };
+    }
+}
+
+module.exports = new PlaceEnrichmentService();
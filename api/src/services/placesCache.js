@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const PlacesCacheEntry = require('../models/PlacesCacheEntry');
+const logger = require('../utils/logger');
+
+/**
+ * Content-addressed cache of Text Search and Nearby Search responses
+ * The key is a hash of everything that shapes the response, so a re-run of the
+ * same query, field mask and page within the TTL costs no API call. Cache
+ * errors never fail a search, the request just goes to Google.
+ */
+class PlacesCacheService {
+    /**
+     * Cache key of a search request
+     * @param {Object} request - Text Search { textQuery, fieldMask, pageToken, locationRestriction }
+     *                           or Nearby Search { includedTypes, rankPreference, fieldMask, locationRestriction }
+     */
+    keyFor({ textQuery, includedTypes, rankPreference, fieldMask, pageToken = null, locationRestriction = null }) {
+        // Nearby fields are left out of Text Search keys (undefined is not serialized)
+        const content = JSON.stringify({
+            textQuery: textQuery ? textQuery.trim().toLowerCase() : undefined,
+            includedTypes,
+            rankPreference,
+            fieldMask,
+            pageToken,
+            locationRestriction
+        });
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    /**
+     * Cached response, or null on a miss
+     */
+    async get(request) {
+        try {
+            const entry = await PlacesCacheEntry.findOneAndUpdate(
+                // The TTL monitor runs about once a minute, expired entries may still be there
+                { key: this.keyFor(request), expires_at: { $gt: new Date() } },
+                { $inc: { hits: 1 } }
+            );
+            return entry ? entry.response : null;
+        } catch (error) {
+            logger.warn(`Places cache read failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Store a response until expiresAt
+     */
+    async set(request, response, expiresAt) {
+        try {
+            await PlacesCacheEntry.updateOne(
+                { key: this.keyFor(request) },
+                { $set: { query: request.textQuery || request.includedTypes.join(','), response, expires_at: expiresAt, hits: 0 } },
+                { upsert: true }
+            );
+        } catch (error) {
+            logger.warn(`Places cache write failed: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new PlacesCacheService();
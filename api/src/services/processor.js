@@ -1,6 +1,17 @@
-const fs = require('fs').promises;
+const fs = require('fs');
+const { pipeline } = require('stream');
+const StreamArray = require('stream-json/streamers/StreamArray');
+const StreamValues = require('stream-json/streamers/StreamValues');
 const logger = require('../utils/logger');
 const deduplicator = require('./deduplicator');
+const GooglePlaceRaw = require('../models/GooglePlaceRaw');
+const ScraperRaw = require('../models/ScraperRaw');
+
+// Raw collections a job's records can live in
+const RAW_SOURCES = [
+    { model: GooglePlaceRaw, sourceType: 'google_places' },
+    { model: ScraperRaw, sourceType: 'scraper' }
+];
 
 class ProcessorService {
     /**
@@ -10,31 +21,23 @@ class ProcessorService {
      * @param {string} jobId - Job ID
      * @param {string} sourceType - 'scraper' | 'google_places'
      * @param {string} createdBy - User ID who created the job
+     * @param {Object} options - Passed to the deduplicator (e.g. job queries for per-query stats)
      * @returns {Promise<Object>} - Processing results
      */
-    async processOutput(outputPath, sourceQuery = '', jobId, sourceType = 'scraper', createdBy = null) {
+    async processOutput(outputPath, sourceQuery = '', jobId, sourceType = 'scraper', createdBy = null, options = {}) {
         try {
             logger.info(`Processing output file: ${outputPath} (Source: ${sourceType}, Job: ${jobId})`);
 
-            // Read and parse JSON file
-            const businesses = await this.readOutputFile(outputPath);
+            // Stream records into the deduplicator (the file is never fully loaded)
+            const records = this.readRecords(outputPath);
+            const stats = await deduplicator.processRecords(
+                this.asEntries(records), sourceQuery, jobId, sourceType, createdBy, options
+            );
 
-            if (!businesses || businesses.length === 0) {
+            if (stats.total === 0) {
                 logger.warn('No businesses found in output file');
-                return {
-                    total: 0,
-                    new: 0,
-                    updated: 0,
-                    skipped: 0,
-                    errors: 0
-                };
             }
 
-            logger.info(`Found ${businesses.length} businesses in output`);
-
-            // Process through deduplicator
-            const stats = await deduplicator.processBusinesses(businesses, sourceQuery, jobId, sourceType, createdBy);
-
             return stats;
 
         } catch (error) {
@@ -44,44 +47,196 @@ class ProcessorService {
     }
 
     /**
-     * Read and parse JSON output file
+     * Replay a job's stored raw documents through the deduplicator
+     * (used after normalization rules change, nothing is re-scraped)
+     * @param {string} sourceJobId - Job whose raw data is replayed
+     * @param {string} jobId - Reprocess job ID (stats/progress are reported under it)
+     * @param {string} createdBy - User ID who created the reprocess job
+     * @returns {Promise<Object>} - Processing results including a diff summary
      */
-    async readOutputFile(outputPath) {
-        try {
-            const content = await fs.readFile(outputPath, 'utf8');
+    async reprocessRaw(sourceJobId, jobId, createdBy = null) {
+        const totals = {
+            total: 0, new: 0, updated: 0, skipped: 0, errors: 0, diff: null, by_query: {}, schema_reports: [],
+            filtration: { processed: 0, passed: 0, failed: 0, reasons: {} }
+        };
+
+        for (const { model, sourceType } of RAW_SOURCES) {
+            const filter = { job_id: sourceJobId };
+            const count = await model.countDocuments(filter);
+            if (count === 0) continue;
+
+            logger.info(`Reprocessing ${count} ${sourceType} raw records of job ${sourceJobId} (Job: ${jobId})`);
+
+            // Replays reuse the stored raw documents and their query
+            const cursor = model.find(filter).sort({ createdAt: 1 }).lean().cursor();
+            const entries = (async function* () {
+                for await (const doc of cursor) {
+                    yield { business: doc.data, rawId: doc._id, query: doc.source_query };
+                }
+            })();
+
+            const stats = await deduplicator.processRecords(entries, '', jobId, sourceType, createdBy, {
+                collectDiff: true,
+                expectedTotal: count
+            });
+
+            ['total', 'new', 'updated', 'skipped', 'errors'].forEach(key => {
+                totals[key] += stats[key];
+            });
+            totals.by_query = this.mergeByQuery(totals.by_query, stats.by_query);
+
+            ['processed', 'passed', 'failed'].forEach(key => {
+                totals.filtration[key] += stats.filtration[key];
+            });
+            Object.entries(stats.filtration.reasons).forEach(([reason, count]) => {
+                totals.filtration.reasons[reason] = (totals.filtration.reasons[reason] || 0) + count;
+            });
+            totals.diff = this.mergeDiff(totals.diff, stats.diff);
+            totals.throughput = this.mergeThroughput(totals.throughput, stats.throughput);
+            totals.schema_reports.push(...(stats.schema_reports || []));
+        }
 
-            // Handle empty file
-            if (!content || content.trim() === '') {
-                return [];
+        return totals;
+    }
+
+    /**
+     * Combine two per-query breakdowns from the deduplicator
+     */
+    mergeByQuery(a, b = {}) {
+        const merged = { ...a };
+        Object.entries(b).forEach(([query, entry]) => {
+            if (!merged[query]) {
+                merged[query] = entry;
+                return;
             }
+            const target = merged[query];
+            ['raw_hits', 'passed', 'new', 'updated', 'skipped', 'errors'].forEach(key => {
+                target[key] += entry[key];
+            });
+            Object.entries(entry.skip_reasons).forEach(([reason, count]) => {
+                target.skip_reasons[reason] = (target.skip_reasons[reason] || 0) + count;
+            });
+        });
+        return merged;
+    }
+
+    /**
+     * Combine ingestion throughput of two runs (run one after the other)
+     */
+    mergeThroughput(a, b) {
+        if (!a) return b;
+        if (!b) return a;
+
+        const records = a.records + b.records;
+        const durationMs = a.duration_ms + b.duration_ms;
+        return {
+            records,
+            batches: a.batches + b.batches,
+            duration_ms: durationMs,
+            records_per_second: durationMs > 0 ? Math.round(records / (durationMs / 1000)) : records,
+            peak_rss_mb: Math.max(a.peak_rss_mb, b.peak_rss_mb)
+        };
+    }
+
+    /**
+     * Combine two diff summaries from the deduplicator
+     */
+    mergeDiff(a, b) {
+        if (!a) return b;
+        if (!b) return a;
 
-            try {
-                // Try standard JSON parse first
-                const data = JSON.parse(content);
-                return Array.isArray(data) ? data : [data];
-            } catch (parseError) {
-                // Fallback: Try NDJSON (Newline Delimited JSON)
-                logger.info('Standard JSON parse failed, trying NDJSON...');
-
-                const lines = content.trim().split('\n');
-                const data = lines
-                    .map(line => line.trim())
-                    .filter(line => line.length > 0)
-                    .map(line => JSON.parse(line)); // Parse each line
-
-                logger.info(`Successfully parsed ${data.length} records from NDJSON`);
-                return data;
+        const fieldCounts = { ...a.field_counts };
+        Object.entries(b.field_counts).forEach(([field, count]) => {
+            fieldCounts[field] = (fieldCounts[field] || 0) + count;
+        });
+
+        return {
+            counts: {
+                new_businesses: a.counts.new_businesses + b.counts.new_businesses,
+                changed_businesses: a.counts.changed_businesses + b.counts.changed_businesses
+            },
+            field_counts: fieldCounts,
+            new_businesses: [...a.new_businesses, ...b.new_businesses],
+            changed_businesses: [...a.changed_businesses, ...b.changed_businesses]
+        };
+    }
+
+    /**
+     * Count raw documents stored for a job
+     */
+    async countRaw(jobId) {
+        const counts = await Promise.all(RAW_SOURCES.map(({ model }) => model.countDocuments({ job_id: jobId })));
+        return counts.reduce((sum, count) => sum + count, 0);
+    }
+
+    /**
+     * Stream records from an output file
+     * A JSON array is read element by element; anything else is read as a
+     * sequence of JSON values, which covers NDJSON and a single object.
+     * @param {string} outputPath - Path to the output file
+     * @returns {AsyncGenerator<Object>}
+     */
+    async *readRecords(outputPath) {
+        const firstChar = await this.peekFirstChar(outputPath);
+        if (!firstChar) return; // Empty file
+
+        const parser = firstChar === '['
+            ? StreamArray.withParser()
+            : StreamValues.withParser({ jsonStreaming: true });
+
+        // pipeline() forwards read errors to the parser so the loop below throws
+        const source = pipeline(fs.createReadStream(outputPath), parser, () => { });
+
+        try {
+            for await (const { value } of source) {
+                if (Array.isArray(value)) {
+                    yield* value; // NDJSON line holding an array
+                } else {
+                    yield value;
+                }
             }
+        } catch (error) {
+            throw new Error(`Invalid JSON in output file: ${error.message}`);
+        }
+    }
 
+    /**
+     * First non-whitespace character of a file (null when empty)
+     */
+    async peekFirstChar(outputPath) {
+        let handle;
+        try {
+            handle = await fs.promises.open(outputPath, 'r');
         } catch (error) {
             if (error.code === 'ENOENT') {
                 throw new Error(`Output file not found: ${outputPath}`);
             }
-            if (error instanceof SyntaxError) {
-                throw new Error(`Invalid JSON in output file: ${error.message}`);
-            }
             throw error;
         }
+
+        try {
+            const buffer = Buffer.alloc(4096);
+            let position = 0;
+            for (;;) {
+                const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+                if (bytesRead === 0) return null;
+
+                const match = /\S/.exec(buffer.toString('utf8', 0, bytesRead));
+                if (match) return match[0];
+                position += bytesRead;
+            }
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Wrap parsed records as deduplicator entries
+     */
+    async *asEntries(records) {
+        for await (const business of records) {
+            yield { business };
+        }
     }
 
     /**
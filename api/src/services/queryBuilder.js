@@ -0,0 +1,175 @@
+const CategoryList = require('../models/CategoryList');
+const LocationList = require('../models/LocationList');
+const QueryTemplate = require('../models/QueryTemplate');
+
+// Location fields usable as placeholders, {location} is all of them joined
+const LOCATION_FIELDS = ['neighbourhood', 'city', 'state', 'zip', 'country'];
+const PLACEHOLDERS = ['category', 'location', ...LOCATION_FIELDS];
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+// Cost guard: one job may not expand to more queries than this
+const MAX_EXPANDED_QUERIES = 500;
+
+/**
+ * Query templates: categories x locations rendered through a template
+ * such as "{category} in {city}, {state}"
+ */
+class QueryBuilderService {
+    /**
+     * Placeholders used by a template
+     * @throws {Error} - On unknown placeholders or a template without any
+     */
+    parseTemplate(template) {
+        if (!template || typeof template !== 'string') {
+            throw new Error('Query template is required');
+        }
+
+        const used = [...template.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+        const unknown = used.filter(name => !PLACEHOLDERS.includes(name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown template placeholder(s): ${unknown.map(n => `{${n}}`).join(', ')}. Use ${PLACEHOLDERS.map(n => `{${n}}`).join(', ')}`);
+        }
+        if (used.length === 0) {
+            throw new Error('Query template must contain at least one placeholder');
+        }
+        return [...new Set(used)];
+    }
+
+    /**
+     * Readable label for a location, e.g. "Downtown, Austin, TX"
+     */
+    locationLabel(location) {
+        return LOCATION_FIELDS.map(field => location[field]).filter(Boolean).join(', ');
+    }
+
+    /**
+     * Render every category/location pair
+     * Pairs missing a value the template needs (e.g. {zip} for a city-only entry) are skipped.
+     * @returns {Object} - { queries: [{ query, category, location, location_parts }], skipped }
+     */
+    expand(template, categories = [], locations = []) {
+        const used = this.parseTemplate(template);
+        const usesCategory = used.includes('category');
+        const usesLocation = used.some(name => name !== 'category');
+
+        const categoryValues = usesCategory
+            ? [...new Set(categories.map(c => String(c).trim()).filter(Boolean))]
+            : [null];
+        const locationValues = usesLocation
+            ? locations.filter(l => l && typeof l === 'object')
+            : [null];
+
+        if (categoryValues.length === 0) throw new Error('The template needs {category} but no categories were given');
+        if (locationValues.length === 0) throw new Error('The template needs a location but no locations were given');
+
+        const total = categoryValues.length * locationValues.length;
+        if (total > MAX_EXPANDED_QUERIES) {
+            throw new Error(`Template expands to ${total} queries, the limit is ${MAX_EXPANDED_QUERIES}`);
+        }
+
+        const seen = new Set();
+        const queries = [];
+        let skipped = 0;
+
+        for (const category of categoryValues) {
+            for (const location of locationValues) {
+                const values = { category };
+                if (location) {
+                    LOCATION_FIELDS.forEach(field => { values[field] = location[field] ? String(location[field]).trim() : ''; });
+                    values.location = this.locationLabel(values);
+                }
+
+                if (used.some(name => !values[name])) {
+                    skipped++;
+                    continue;
+                }
+
+                // Same normalization as startScrape, so dedup sees the final string
+                const query = template.replace(PLACEHOLDER_PATTERN, (match, name) => values[name])
+                    .replace(/\s+/g, ' ').trim().toLowerCase();
+                if (seen.has(query)) continue;
+                seen.add(query);
+
+                const entry = { query, category };
+                if (location) {
+                    entry.location = values.location;
+                    entry.location_parts = Object.fromEntries(LOCATION_FIELDS.filter(f => values[f]).map(f => [f, values[f]]));
+                }
+                queries.push(entry);
+            }
+        }
+
+        return { queries, skipped };
+    }
+
+    /**
+     * Expand a startScrape `query_builder` option
+     * @param {Object} spec - { template | template_id, categories | category_list_id, locations | location_list_id }
+     * @param {Object} user - Requesting user (saved lists must be theirs unless Super Admin)
+     * @returns {Promise<Object>} - expand() result plus the template used
+     */
+    async build(spec, user) {
+        if (!spec || typeof spec !== 'object') {
+            throw new Error('query_builder must be an object');
+        }
+
+        let { template, categories, locations } = spec;
+        let categoryListId = spec.category_list_id;
+        let locationListId = spec.location_list_id;
+
+        if (spec.template_id) {
+            const saved = await this.findOwned(QueryTemplate, spec.template_id, user, 'Query template');
+            template = template || saved.template;
+            categoryListId = categoryListId || saved.category_list;
+            locationListId = locationListId || saved.location_list;
+        }
+
+        if (!categories && categoryListId) {
+            categories = (await this.findOwned(CategoryList, categoryListId, user, 'Category list')).categories;
+        }
+        if (!locations && locationListId) {
+            locations = (await this.findOwned(LocationList, locationListId, user, 'Location list')).locations.map(l => l.toObject());
+        }
+
+        if (categories && !Array.isArray(categories)) throw new Error('categories must be an array');
+        if (locations && !Array.isArray(locations)) throw new Error('locations must be an array');
+
+        return { template, ...this.expand(template, categories || [], locations || []) };
+    }
+
+    /**
+     * Load a saved list/template the user may use
+     */
+    async findOwned(Model, id, user, label) {
+        const doc = await Model.findById(id).catch(() => null);
+        if (!doc || !this.canUse(user, doc)) {
+            throw new Error(`${label} not found`);
+        }
+        return doc;
+    }
+
+    // Only Super Admin may use other users' lists
+    canUse(user, doc) {
+        if (user.role?.name === 'Super Admin') return true;
+        return !!doc.createdBy && doc.createdBy.toString() === user._id.toString();
+    }
+
+    /**
+     * Job.metadata for expanded queries that are about to run
+     * category/location are only set when every query shares them.
+     */
+    buildMetadata(expanded, finalQueries) {
+        const pairs = expanded.filter(entry => finalQueries.includes(entry.query));
+
+        const metadata = { query_pairs: pairs };
+        const categories = [...new Set(pairs.map(p => p.category).filter(Boolean))];
+        const locations = [...new Set(pairs.map(p => p.location).filter(Boolean))];
+        if (categories.length === 1) metadata.category = categories[0];
+        if (locations.length === 1) metadata.location = locations[0];
+
+        return metadata;
+    }
+}
+
+module.exports = new QueryBuilderService();
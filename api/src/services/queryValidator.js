@@ -1,35 +1,107 @@
 const Job = require('../models/Job');
 const Schedule = require('../models/Schedule');
+const Settings = require('../models/Settings');
+
+// Freshness window when Settings has none (days)
+const DEFAULT_WINDOW_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days a completed query blocks re-runs
+ * Category overrides win over the provider window; the first matching override applies.
+ * An override matches the query's category (query builder) or a whole word of the query.
+ * @param {string} query - Normalized query
+ * @param {string} provider - 'google_places' | 'scraper'
+ * @param {Object} config - Settings.freshness_config
+ * @param {string} category - Category the query was built from, if known
+ * @returns {number} - 0 means the query never blocks
+ */
+const getWindowDays = (query, provider, config = {}, category = null) => {
+    const override = (config.category_overrides || []).find(o => {
+        if (!o.category || (o.provider && o.provider !== provider)) return false;
+
+        const wanted = o.category.trim().toLowerCase();
+        if (category && category.trim().toLowerCase() === wanted) return true;
+        const escaped = wanted.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`\\b${escaped}\\b`).test(query);
+    });
+    if (override && override.days !== undefined && override.days !== null) return override.days;
+
+    const windows = config.window_days || {};
+    const days = windows[provider];
+    return days !== undefined && days !== null ? days : DEFAULT_WINDOW_DAYS;
+};
+exports.getWindowDays = getWindowDays;
 
 /**
- * Checks for duplicate queries against job history.
+ * Checks queries against job history
+ * A query that ran before is skipped while its last run is within the freshness
+ * window (Settings.freshness_config), and while it is still running.
  * @param {string[]} queries - List of raw query strings
  * @param {string} provider - 'google_places' | 'scraper'
- * @returns {Promise<{uniqueQueries: string[], skippedCount: number}>}
+ * @param {Object} options
+ * @param {Object} options.categories - Query -> category (query builder), for category overrides
+ * @returns {Promise<{uniqueQueries: string[], skippedCount: number, skipped: Object[]}>}
+ *          skipped: { query, last_run_at, job_id, status, window_days, fresh_until }
  */
-exports.checkDuplicates = async (queries, provider) => {
+exports.checkDuplicates = async (queries, provider, options = {}) => {
     // Normalize
     const normalizedQueries = queries.map(q => q.trim().toLowerCase());
     const uniqueInput = [...new Set(normalizedQueries)]; // Remove duplicates within the input itself
 
-    // Find existing jobs with these queries
+    const settings = await Settings.findOne({ key: 'global' });
+    const config = (settings && settings.freshness_config) || {};
+    const windowProvider = provider || (settings && settings.data_provider) || 'scraper';
+
+    // Find existing jobs with these queries, latest first
     const existingJobs = await Job.find({
         queries: { $in: uniqueInput },
         'config.provider': provider,
-        status: { $in: ['completed', 'running'] } // Only check completed/running jobs
-    }).select('queries');
+        status: { $in: ['completed', 'running'] }, // Only check completed/running jobs
+        type: { $nin: ['reprocess', 'enrich'] } // Replays and enrichment passes don't scrape
+    })
+        .sort({ completed_at: -1, started_at: -1 })
+        .select('job_id queries status started_at completed_at createdAt');
 
-    // Extract all queries from existing jobs
-    const existingSet = new Set();
+    // Latest run per query (a running job always blocks)
+    const lastRun = new Map();
     existingJobs.forEach(job => {
-        job.queries.forEach(q => existingSet.add(q.toLowerCase()));
+        job.queries.forEach(q => {
+            const query = q.toLowerCase();
+            const current = lastRun.get(query);
+            if (!current || (job.status === 'running' && current.status !== 'running')) {
+                lastRun.set(query, job);
+            }
+        });
     });
 
-    // Filter
-    const uniqueQueries = uniqueInput.filter(q => !existingSet.has(q));
+    const now = Date.now();
+    const skipped = [];
+    const uniqueQueries = uniqueInput.filter(query => {
+        const job = lastRun.get(query);
+        if (!job) return true;
+
+        const category = options.categories ? options.categories[query] : null;
+        const windowDays = getWindowDays(query, windowProvider, config, category);
+        const lastRunAt = job.completed_at || job.started_at || job.createdAt;
+        const freshUntil = new Date(lastRunAt.getTime() + windowDays * DAY_MS);
+
+        if (job.status !== 'running' && freshUntil.getTime() <= now) return true;
+
+        skipped.push({
+            query,
+            last_run_at: lastRunAt,
+            job_id: job.job_id,
+            status: job.status,
+            window_days: windowDays,
+            fresh_until: job.status === 'running' ? null : freshUntil
+        });
+        return false;
+    });
     const skippedCount = queries.length - uniqueQueries.length;
 
-    return { uniqueQueries, skippedCount };
+    return { uniqueQueries, skippedCount, skipped };
 };
 
 /**
@@ -53,7 +125,8 @@ exports.checkActiveConflicts = async (queries) => {
 
     // 1. Get queries from Running/Queued Jobs
     const activeJobs = await Job.find({
-        status: { $in: ['pending', 'running', 'processing'] }
+        status: { $in: ['pending', 'running', 'retrying', 'processing'] },
+        type: { $nin: ['reprocess', 'enrich'] } // Replays and enrichment passes don't scrape
     }).select('queries');
 
     // 2. Get queries from Active Schedules (pending/active)
@@ -0,0 +1,137 @@
+const Job = require('../models/Job');
+const Settings = require('../models/Settings');
+const queryValidator = require('./queryValidator');
+const geoGrid = require('./geoGrid');
+const apiKeyPool = require('./apiKeyPool');
+const nearbySearch = require('./nearbySearch');
+const { PLACES_PRICE_PER_1000, PLACES_MAX_PAGES, estimatePlacesCost } = require('../config/placesPricing');
+
+// Used when there is no job history to average over
+const DEFAULT_JOB_DURATION_SECONDS = 120;
+
+class ScrapeEstimatorService {
+    /**
+     * Dry run of startScrape: same dedup checks, nothing is queued
+     * @param {Object} params - Same body as POST /scrape/start, with nearby normalized and query_builder
+     * expanded (their queries already built, categories = query -> category of template queries)
+     * @returns {Promise<Object>} - Queries, API calls, cost, quota and queue estimates
+     */
+    async estimate({ queries, provider, fields_level, max_pages, force_scrape, priority, geo_grid, nearby = null, categories = null }) {
+        let settings = await Settings.findOne({ key: 'global' });
+        if (!settings) settings = new Settings({ key: 'global' });
+
+        const normalized = [...new Set(queries.map(q => q.trim().toLowerCase()).filter(q => q.length > 0))];
+        let finalQueries = normalized;
+        let activeConflicts = [];
+        let historicalDuplicates = [];
+
+        // Same order as startScrape: active conflicts first, then history
+        if (!force_scrape) {
+            const active = await queryValidator.checkActiveConflicts(queries);
+            activeConflicts = active.conflicts;
+            finalQueries = active.uniqueQueries;
+
+            if (finalQueries.length > 0) {
+                const history = await queryValidator.checkDuplicates(finalQueries, nearby ? 'google_places' : provider, {
+                    categories: nearby ? nearbySearch.categories(nearby) : (categories || undefined)
+                });
+                historicalDuplicates = history.skipped; // With last run and freshness window
+                finalQueries = history.uniqueQueries;
+            }
+        }
+
+        const activeProvider = nearby ? 'google_places' : (provider || settings.data_provider || 'scraper');
+        const grid = geoGrid.normalize(geo_grid);
+        const cellsPerQuery = grid ? geoGrid.maxCells(grid) : 1;
+
+        return {
+            provider: activeProvider,
+            queries: {
+                submitted: queries.length,
+                would_run: finalQueries,
+                skipped_active: activeConflicts,
+                skipped_history: historicalDuplicates
+            },
+            places: activeProvider === 'google_places'
+                // Nearby Search has no pagination: one call per included type
+                ? this.estimatePlaces(finalQueries.length * cellsPerQuery, settings.google_places_config || {}, { fields_level, max_pages: nearby ? 1 : max_pages })
+                : null,
+            search_mode: nearby ? 'nearby' : 'text',
+            grid_cells_per_query: grid ? cellsPerQuery : null, // Upper bound, sparse cells are not subdivided
+            queue: await this.estimateQueue(settings, parseInt(priority) || 0)
+        };
+    }
+
+    /**
+     * Projected Places calls, cost per tier and daily quota headroom
+     * @param {number} queryCount - Searches to run (queries x grid cells)
+     */
+    estimatePlaces(queryCount, gpConfig, { fields_level, max_pages }) {
+        // Same precedence as GooglePlacesService.executeScrape
+        const fieldsLevel = fields_level || gpConfig.fields_level || 'contact';
+        const maxPages = Math.min(parseInt(max_pages) || gpConfig.default_max_pages || 1, PLACES_MAX_PAGES);
+        const projectedCalls = queryCount * maxPages;
+
+        const isSameDay = gpConfig.last_reset_date &&
+            new Date().toDateString() === new Date(gpConfig.last_reset_date).toDateString();
+        const callsToday = isSameDay ? (gpConfig.calls_today || 0) : 0;
+        const dailyLimit = gpConfig.daily_limit || 0;
+        const remaining = Math.max(dailyLimit - callsToday, 0);
+
+        const costByTier = {};
+        Object.keys(PLACES_PRICE_PER_1000).forEach(tier => {
+            costByTier[tier] = estimatePlacesCost(projectedCalls, tier);
+        });
+
+        return {
+            fields_level: fieldsLevel,
+            max_pages: maxPages,
+            // Upper bound: pagination stops early when a page comes back short
+            projected_calls: projectedCalls,
+            estimated_cost_usd: estimatePlacesCost(projectedCalls, fieldsLevel),
+            cost_by_tier_usd: costByTier,
+            daily_limit: dailyLimit,
+            calls_today: callsToday,
+            remaining_today: remaining,
+            remaining_after_job: Math.max(remaining - projectedCalls, 0),
+            exceeds_daily_limit: projectedCalls > remaining,
+            has_api_key: apiKeyPool.hasKeys(gpConfig)
+        };
+    }
+
+    /**
+     * Queue position and rough wait from running jobs and recent durations
+     */
+    async estimateQueue(settings, priority) {
+        const concurrency = settings.max_concurrent_jobs || 1;
+
+        const running = await Job.countDocuments({ status: 'running' });
+        const ahead = await Job.countDocuments({
+            status: { $in: ['pending', 'retrying'] },
+            priority: { $gte: priority }
+        });
+
+        const recent = await Job.find({ status: 'completed', duration_seconds: { $gt: 0 } })
+            .sort({ completed_at: -1 })
+            .limit(20)
+            .select('duration_seconds');
+
+        const avgDuration = recent.length > 0
+            ? Math.round(recent.reduce((sum, j) => sum + j.duration_seconds, 0) / recent.length)
+            : DEFAULT_JOB_DURATION_SECONDS;
+
+        // Jobs that must finish before ours gets a slot, in batches of `concurrency`
+        const blocking = running + ahead - concurrency + 1;
+        const waves = blocking > 0 ? Math.ceil(blocking / concurrency) : 0;
+
+        return {
+            position: ahead + 1,
+            running,
+            concurrency,
+            avg_job_duration_seconds: avgDuration,
+            estimated_wait_seconds: waves * avgDuration
+        };
+    }
+}
+
+module.exports = new ScrapeEstimatorService();
@@ -1,9 +1,17 @@
-const { exec } = require('child_process');
 const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { once } = require('events');
 const path = require('path');
 const os = require('os');
 const logger = require('../utils/logger');
-const { uploadFile, deleteFile } = require('../utils/cloudinary');
+const { decryptSecret } = require('../utils/secrets');
+const storage = require('./storage');
+const jobEvents = require('./jobEvents');
+const jobLogs = require('./jobLogs');
+const containerRunner = require('./containerRunner');
+const geoGrid = require('./geoGrid');
+const proxyPool = require('./proxyPool');
+const processor = require('./processor');
 
 class ScraperService {
     constructor() {
@@ -18,10 +26,13 @@ class ScraperService {
      * @param {Array<string>} queries - List of search queries
      * @param {string} jobId - Unique job identifier
      * @param {Object} config - Job configuration (depth, etc)
+     * @param {AbortSignal} signal - Aborts the scrape when the job is cancelled
+     * @param {string} userId - Job owner (Places usage ledger)
      * @returns {Promise<Object>} - Cloudinary upload result with file URL
      */
-    async executeScrape(queries, jobId, config = {}) {
+    async executeScrape(queries, jobId, config = {}, signal = null, userId = null) {
         let tempVolumePath = null;
+        let proxySet = null;
 
         try {
             // Check provider config (Job Config > Global Settings)
@@ -36,13 +47,18 @@ class ScraperService {
                 activeProvider = settings.data_provider;
             }
 
+            // Nearby sweeps are Places searches, their queries mean nothing to the scraper
+            if (config.search_mode === 'nearby') {
+                activeProvider = 'google_places';
+            }
+
             if (activeProvider === 'google_places') {
                 const gpService = require('./googlePlaces');
                 const limitCheck = await gpService.checkLimit();
 
                 if (limitCheck.allowed) {
                     logger.info(`[Job ${jobId}] Using Google Places API Provider (Explicit Choice)`);
-                    return await gpService.executeScrape(queries, jobId, config);
+                    return await gpService.executeScrape(queries, jobId, config, signal, userId);
                 } else {
                     // STRICT MODE: No auto-fallback. Tell user to switch.
                     logger.warn(`[Job ${jobId}] Google Places API limit reached: ${limitCheck.reason}`);
@@ -63,29 +79,50 @@ class ScraperService {
             tempVolumePath = path.join(this.dataDir, `scraper-${jobId}`);
             await fs.mkdir(tempVolumePath, { recursive: true });
 
-            // Write queries to file
+            // Write queries to file, tagged with an id the scraper echoes back as input_id
             const queriesPath = path.join(tempVolumePath, 'queries.txt');
-            await fs.writeFile(queriesPath, queries.join('\n'));
+            await fs.writeFile(queriesPath, queries.map((q, i) => `${q} #!# q${i}`).join('\n'));
             logger.info(`Queries written to ${queriesPath}`);
 
             // Prepare output path
             const outputPath = path.join(tempVolumePath, 'output.json');
 
-            // Build and execute Docker command
+            // Run the scraper container
             // Use config.max_results if set, else fallback to env or default
             const maxRes = config.max_results || process.env.MAX_RESULTS || 70;
-            const dockerCmd = this.buildDockerCommand(tempVolumePath, jobId, { ...config, max_results: maxRes });
-            logger.info(`Executing Docker command`);
+            const runConfig = { ...config, max_results: maxRes };
+
+            // Pool proxies, unless the job brought its own (credentials stay out of job.config)
+            const ownProxies = Array.isArray(config.proxies) ? config.proxies.length > 0 : !!config.proxies;
+            if (!ownProxies) {
+                proxySet = await proxyPool.assign(jobId, { region: config.proxy_region });
+                if (proxySet) {
+                    runConfig.proxies = proxySet.proxies.map(proxy => proxy.url);
+                    runConfig.proxy_set = proxySet;
+                }
+            }
+
+            const grid = geoGrid.normalize(config.geo_grid);
+            let container;
+            let gridCells;
 
-            // Execute Docker container
-            await this.runDockerContainer(dockerCmd);
+            if (grid) {
+                ({ container, cells: gridCells } = await this.runGrid(grid, tempVolumePath, jobId, runConfig, settings, signal));
+            } else {
+                container = await this.runScraperContainer(tempVolumePath, jobId, runConfig, settings, signal);
+            }
 
             // Verify output file exists
             await this.verifyOutput(outputPath);
 
-            // Upload to Cloudinary
-            logger.info(`Uploading results to Cloudinary for job ${jobId}`);
-            const uploadResult = await uploadFile(
+            await proxyPool.report(proxySet, 'success');
+            const proxies = proxyPool.summary(proxySet);
+            proxySet = null;
+
+            // Upload to the configured storage
+            logger.info(`Storing results for job ${jobId}`);
+            jobEvents.phase(jobId, 'uploading');
+            const stored = await storage.upload(
                 outputPath,
                 'scraper-output',
                 `job-${jobId}`
@@ -93,16 +130,25 @@ class ScraperService {
 
             logger.info(`Scrape job ${jobId} completed successfully`);
 
+            const isCloudinary = stored.provider === 'cloudinary';
             return {
                 provider: 'scraper',
-                cloudinary_url: uploadResult.secure_url,
-                cloudinary_public_id: uploadResult.public_id,
-                file_size: uploadResult.bytes,
-                local_path: outputPath // Keep for immediate processing
+                output_file: stored,
+                cloudinary_url: isCloudinary ? stored.url : null,
+                cloudinary_public_id: isCloudinary ? stored.key : null,
+                file_size: stored.size,
+                local_path: outputPath, // Keep for immediate processing
+                container,
+                grid_cells: gridCells,
+                proxies
             };
 
         } catch (error) {
             logger.error(`Scrape job ${jobId} failed: ${error.message}`);
+            // Cancellations say nothing about the proxies, OOM kills are not their fault
+            if (proxySet && !(signal && signal.aborted)) {
+                await proxyPool.report(proxySet, error.container && error.container.oom_killed ? 'neutral' : 'failure', error.message);
+            }
             if (tempVolumePath && process.env.CLEANUP_TEMP === 'true') {
                 await this.cleanupTempDir(tempVolumePath);
             }
@@ -111,86 +157,176 @@ class ScraperService {
     }
 
     /**
-     * Build Docker run command
+     * Container env and volume binds for a job
+     * Options were validated by services/scraperOptions; run.sh passes each value as a single argument.
      */
-    buildDockerCommand(volumePath, jobId, config = {}) {
-        let volumeMount;
-        let containerQueriesPath;
-        let containerOutputPath;
+    buildContainerSpec(volumePath, config = {}, outputName = 'output.json') {
+        let bind;
+        let containerDir;
 
         if (this.scraperVolumeName) {
             // DooD Strategy: Use shared named volume
             // Backend path: /app/scraper_data/scraper-123
-            // Scraper mount: -v scraper_data:/data
+            // Scraper mount: scraper_data:/data
             // Scraper path: /data/scraper-123
-
             const relativePath = path.relative(this.dataDir, volumePath); // e.g., "scraper-123"
-            volumeMount = `${this.scraperVolumeName}:/data`;
-            containerQueriesPath = `/data/${relativePath}/queries.txt`;
-            containerOutputPath = `/data/${relativePath}/output.json`;
+            bind = `${this.scraperVolumeName}:/data`;
+            containerDir = `/data/${relativePath}`;
 
-            logger.info(`Using shared volume strategy. Mount: ${volumeMount}, Path: ${containerQueriesPath}`);
+            logger.info(`Using shared volume strategy. Mount: ${bind}, Path: ${containerDir}`);
         } else {
             // Host Path Strategy (Local Dev / No DooD)
             // Assumes volumePath is accessible to Docker host
-            volumeMount = `${volumePath}:/data`;
-            containerQueriesPath = `/data/queries.txt`;
-            containerOutputPath = `/data/output.json`;
+            bind = `${volumePath}:/data`;
+            containerDir = '/data';
         }
 
-        const depth = config.depth || 1;
-        const concurrency = config.concurrency || 2; // Default 2
-        const proxies = Array.isArray(config.proxies) ? config.proxies.join(',') : (config.proxies || '');
-        const lang = config.lang || 'en';
-        const zoom = config.zoom || 15;
-        const debugMode = config.debug ? 'true' : 'false';
-        const geo = config.geo || '';
-
-        // Safely quoting Env vars is handled by docker run arrays usually, but here we build string.
-        // We rely on standard safe chars. Proxies usually contain special chars so be careful?
-        // Since we pass -e VAR=val, we should wrap val in quotes if it has spaces? 
-        // Best approach is assuming user input is reasonable or using array format for exec (but executeScrape uses string).
-        // For simple string construction:
-
-        return `docker run --rm \
-      --memory=1024m \
-      --cpus=1.0 \
-      --shm-size=1g \
-      -v ${volumeMount} \
-      -e QUERIES_FILE=${containerQueriesPath} \
-      -e OUTPUT_FILE=${containerOutputPath} \
-      -e DEPTH=${depth} \
-      -e MAX_RESULTS=${config.max_results || 70} \
-      -e CONCURRENCY=${concurrency} \
-      -e LANG_CODE=${lang} \
-      -e ZOOM=${zoom} \
-      -e PROXIES='${proxies}' \
-      -e DEBUG_MODE=${debugMode} \
-      -e GEO='${geo}' \
-      ${this.scraperImage}`;
+        return {
+            binds: [bind],
+            env: {
+                QUERIES_FILE: `${containerDir}/queries.txt`,
+                OUTPUT_FILE: `${containerDir}/${outputName}`,
+                DEPTH: config.depth || 1,
+                MAX_RESULTS: config.max_results || 70,
+                CONCURRENCY: config.concurrency || 2, // Default 2
+                LANG_CODE: config.lang || 'en',
+                ZOOM: config.zoom || 15,
+                // Job proxies with credentials are stored encrypted
+                PROXIES: Array.isArray(config.proxies) ? config.proxies.map(decryptSecret).join(',') : (config.proxies || ''),
+                DEBUG_MODE: config.debug ? 'true' : 'false',
+                GEO: config.geo || ''
+            }
+        };
     }
 
     /**
-     * Run Docker container and wait for completion
+     * Container name used for a job, so it can be stopped on cancellation
      */
-    runDockerContainer(command) {
-        return new Promise((resolve, reject) => {
-            exec(command, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
-                if (error) {
-                    logger.error(`Docker execution error: ${error.message}`);
-                    logger.error(`stderr: ${stderr}`);
-                    reject(error);
-                    return;
-                }
+    getContainerName(jobId) {
+        return `scraper-job-${jobId}`;
+    }
+
+    /**
+     * Run the scraper container for a job and check how it exited
+     * @returns {Promise<Object>} - Container outcome (exit code, OOM, timeout), stored on the Job
+     */
+    async runScraperContainer(volumePath, jobId, config, settings, signal = null, outputName = 'output.json') {
+        const limits = (settings && settings.scraper_container_config) || {};
+        const { env, binds } = this.buildContainerSpec(volumePath, config, outputName);
+
+        logger.info(`Starting scraper container for job ${jobId}`);
+        const container = await containerRunner.run({
+            name: this.getContainerName(jobId),
+            image: this.scraperImage,
+            env,
+            binds,
+            limits: {
+                memory_mb: limits.memory_mb || 1024,
+                cpus: limits.cpus || 1,
+                shm_size_mb: limits.shm_size_mb || 1024
+            },
+            timeoutSeconds: (limits.timeout_minutes || 0) * 60,
+            signal,
+            onLine: (stream, line) => {
+                proxyPool.inspectLine(config.proxy_set, line);
+                const { level, message } = jobLogs.append(jobId, stream, line);
+                jobEvents.publish(jobId, 'log', { stream, level, message, line });
+            }
+        });
+
+        if (container.cancelled || (signal && signal.aborted)) {
+            throw new Error('Job cancelled');
+        }
+
+        let failure = null;
+        if (container.oom_killed) {
+            failure = `Scraper container ran out of memory (limit ${limits.memory_mb || 1024} MB)`;
+        } else if (container.timed_out) {
+            failure = `Scraper container timed out after ${limits.timeout_minutes} minutes`;
+        } else if (container.exit_code !== 0) {
+            failure = `Scraper container exited with code ${container.exit_code}`;
+        }
+
+        if (failure) {
+            const error = new Error(failure);
+            error.container = container;
+            throw error;
+        }
+
+        return container;
+    }
+
+    /**
+     * Run the scraper once per geo grid cell (GEO/ZOOM set to the cell)
+     * Cell outputs are merged into output.json, places found by several cells once.
+     * @returns {Promise<Object>} - { container (last run), cells (Job.grid_cells) }
+     */
+    async runGrid(grid, volumePath, jobId, config, settings, signal = null) {
+        const out = createWriteStream(path.join(volumePath, 'output.json'));
+        const seen = new Set();
+        let container = null;
+        let lastError = null;
 
-                logger.info(`Docker stdout: ${stdout}`);
-                if (stderr) {
-                    logger.warn(`Docker stderr: ${stderr}`);
+        try {
+            const cells = await geoGrid.explore(grid, async (cell) => {
+                const { lat, lng } = geoGrid.center(cell);
+                const cellOutput = `output-${cell.id}.json`;
+
+                try {
+                    container = await this.runScraperContainer(volumePath, jobId, {
+                        ...config,
+                        geo: `${lat.toFixed(6)},${lng.toFixed(6)}`,
+                        zoom: geoGrid.zoomFor(cell)
+                    }, settings, signal, cellOutput);
+                } catch (error) {
+                    if (signal && signal.aborted) throw error;
+                    logger.error(`Scraper run for cell ${cell.id} failed: ${error.message}`);
+                    lastError = error;
+                    return { results: 0, unique: 0, status: 'error', error: error.message };
                 }
 
-                resolve(stdout);
-            });
-        });
+                const merged = await this.mergeCellOutput(path.join(volumePath, cellOutput), out, seen);
+
+                // A query that hit max_results likely has more places in this cell
+                const saturated = Object.values(merged.by_input).some(count => count >= config.max_results);
+                return { results: merged.results, unique: merged.unique, saturated };
+            }, { jobId, signal });
+
+            if (lastError && cells.every(cell => cell.status === 'error')) {
+                throw lastError;
+            }
+            return { container, cells };
+        } finally {
+            out.end();
+            await once(out, 'close');
+        }
+    }
+
+    /**
+     * Append a cell's records to the merged output (NDJSON)
+     * @returns {Promise<Object>} - { results, unique, by_input } (by_input: records per scraper input_id)
+     */
+    async mergeCellOutput(cellPath, out, seen) {
+        const merged = { results: 0, unique: 0, by_input: {} };
+
+        const stats = await fs.stat(cellPath).catch(() => null);
+        if (!stats || stats.size === 0) return merged; // Nothing found in this cell
+
+        for await (const record of processor.readRecords(cellPath)) {
+            const data = (record && record.data) || record || {};
+            merged.results++;
+            merged.by_input[data.input_id] = (merged.by_input[data.input_id] || 0) + 1;
+
+            const key = data.place_id || data.cid;
+            if (key && seen.has(key)) continue;
+            if (key) seen.add(key);
+
+            merged.unique++;
+            if (!out.write(JSON.stringify(record) + '\n')) await once(out, 'drain');
+        }
+
+        await fs.rm(cellPath, { force: true });
+        return merged;
     }
 
     /**
@@ -221,14 +357,15 @@ class ScraperService {
     }
 
     /**
-     * Clean up Cloudinary file
+     * Clean up a stored output file
+     * @param {Object} ref - Job.output_file
      */
-    async cleanupCloudinary(publicId) {
+    async cleanupStoredFile(ref) {
         try {
-            await deleteFile(publicId);
-            logger.info(`Cleaned up Cloudinary file: ${publicId}`);
+            await storage.delete(ref);
+            logger.info(`Cleaned up stored file: ${ref.key}`);
         } catch (error) {
-            logger.warn(`Cloudinary cleanup failed for ${publicId}: ${error.message}`);
+            logger.warn(`Stored file cleanup failed for ${ref.key}: ${error.message}`);
         }
     }
 }
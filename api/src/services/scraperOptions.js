@@ -0,0 +1,95 @@
+const proxyPool = require('./proxyPool');
+const { isEncrypted } = require('../utils/secrets');
+
+const LANG_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+const REGION_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+// Bounds for the scraper's integer flags
+const LIMITS = {
+    zoom: [1, 21],
+    depth: [1, 100],
+    concurrency: [1, 16]
+};
+
+/**
+ * Docker scraper options from startScrape / estimate / schedules
+ * Each becomes a scraper flag, so values are checked here and anything else
+ * from the request body is left out of Job.config.
+ */
+class ScraperOptionsService {
+    /**
+     * Validate the scraper options of a request body or schedule config
+     * @param {Object} raw - { geo, lang, zoom, depth, concurrency, proxies, proxy_region, debug }
+     * @returns {Object} - Normalized options, only those that were set (proxies with a password encrypted)
+     * @throws {Error} - Message suitable for a 400 response
+     */
+    normalize(raw = {}) {
+        const options = {};
+
+        if (this.isSet(raw.geo)) {
+            options.geo = this.parseGeo(raw.geo);
+        }
+
+        if (this.isSet(raw.lang)) {
+            if (typeof raw.lang !== 'string' || !LANG_PATTERN.test(raw.lang)) {
+                throw new Error('lang must be a language code such as "en" or "pt-BR"');
+            }
+            options.lang = raw.lang;
+        }
+
+        Object.entries(LIMITS).forEach(([field, [min, max]]) => {
+            if (!this.isSet(raw[field])) return;
+            const value = Number(raw[field]);
+            if (!Number.isInteger(value) || value < min || value > max) {
+                throw new Error(`${field} must be a whole number from ${min} to ${max}`);
+            }
+            options[field] = value;
+        });
+
+        if (this.isSet(raw.proxies)) {
+            const list = Array.isArray(raw.proxies) ? raw.proxies : String(raw.proxies).split(',');
+            options.proxies = list.filter(value => String(value).trim()).map((value, index) => {
+                // Already stored (a schedule config sent back unchanged)
+                if (isEncrypted(value)) return value;
+                const parsed = proxyPool.parseUrl(String(value).trim());
+                if (!parsed) {
+                    throw new Error(`proxies[${index}] must be a proxy URL (http, https or socks5 with host and port)`);
+                }
+                return proxyPool.toStoredUrl(parsed);
+            });
+        }
+
+        if (this.isSet(raw.proxy_region)) {
+            const region = String(raw.proxy_region).toLowerCase();
+            if (!REGION_PATTERN.test(region)) {
+                throw new Error('proxy_region must be letters, digits, "-" or "_" (up to 32)');
+            }
+            options.proxy_region = region;
+        }
+
+        if (this.isSet(raw.debug)) {
+            options.debug = raw.debug === true || raw.debug === 'true';
+        }
+
+        return options;
+    }
+
+    isSet(value) {
+        return value !== undefined && value !== null && value !== '';
+    }
+
+    /**
+     * "lat,lng" with both in range
+     */
+    parseGeo(value) {
+        const parts = String(value).split(',').map(part => part.trim());
+        const [lat, lng] = parts.map(Number);
+        if (parts.length !== 2 || parts.some(part => !/^-?\d+(\.\d+)?$/.test(part)) ||
+            lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+            throw new Error('geo must be "lat,lng" (e.g. "40.7128,-74.0060")');
+        }
+        return `${lat},${lng}`;
+    }
+}
+
+module.exports = new ScraperOptionsService();
@@ -0,0 +1,25 @@
+const { uploadFile, getFileUrl, deleteFile } = require('../../utils/cloudinary');
+
+/**
+ * Cloudinary backend (public raw files, URLs do not expire)
+ */
+class CloudinaryBackend {
+    async upload(filePath, folder, name) {
+        const result = await uploadFile(filePath, folder, name);
+        return {
+            key: result.public_id,
+            url: result.secure_url,
+            size: result.bytes
+        };
+    }
+
+    async getDownloadUrl(key) {
+        return getFileUrl(key);
+    }
+
+    async delete(key) {
+        await deleteFile(key);
+    }
+}
+
+module.exports = CloudinaryBackend;
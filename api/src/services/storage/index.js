@@ -0,0 +1,142 @@
+const path = require('path');
+const Settings = require('../../models/Settings');
+const logger = require('../../utils/logger');
+const CloudinaryBackend = require('./cloudinaryBackend');
+const LocalBackend = require('./localBackend');
+const S3Backend = require('./s3Backend');
+
+const DEFAULT_LOCAL_DIR = path.join(__dirname, '../../../uploads');
+const DEFAULT_URL_TTL_SECONDS = 3600;
+
+// Placeholder shipped in the .env examples
+const EXAMPLE_SECRET_PREFIX = 'change_me';
+
+/**
+ * Artifact storage (scrape outputs, audit PDFs)
+ * The backend is picked from Settings.storage_config.provider. Uploads return a
+ * reference { provider, key, url, size }; download links are generated from it,
+ * so files stay reachable after the provider is switched.
+ */
+class StorageService {
+    constructor() {
+        this.backends = new Map(); // provider -> { signature, backend }
+    }
+
+    async getConfig() {
+        const settings = await Settings.findOne({ key: 'global' });
+        return (settings && settings.storage_config) || {};
+    }
+
+    /**
+     * Backend instance for a provider (rebuilt when its settings change)
+     */
+    getBackend(provider, config = {}) {
+        const s3 = config.s3 || {};
+        const signature = provider === 's3' ? JSON.stringify([s3.bucket, s3.region, s3.endpoint, s3.force_path_style]) : provider;
+
+        const cached = this.backends.get(provider);
+        if (cached && cached.signature === signature) return cached.backend;
+
+        let backend;
+        if (provider === 'local') {
+            this.checkProvider(provider);
+            backend = new LocalBackend({
+                rootDir: process.env.STORAGE_LOCAL_DIR || DEFAULT_LOCAL_DIR,
+                secret: process.env.STORAGE_SIGNING_SECRET,
+                baseUrl: process.env.PUBLIC_API_URL || ''
+            });
+        } else if (provider === 's3') {
+            backend = new S3Backend({
+                bucket: s3.bucket,
+                region: s3.region,
+                endpoint: s3.endpoint,
+                forcePathStyle: s3.force_path_style,
+                accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+            });
+        } else if (provider === 'cloudinary') {
+            backend = new CloudinaryBackend();
+        } else {
+            throw new Error(`Unknown storage provider: ${provider}`);
+        }
+
+        this.backends.set(provider, { signature, backend });
+        return backend;
+    }
+
+    /**
+     * Check the environment has what a provider needs
+     * Local links are signed with STORAGE_SIGNING_SECRET, its own secret so
+     * download links and login tokens cannot be forged with the same key.
+     * @throws {Error}
+     */
+    checkProvider(provider) {
+        if (provider !== 'local') return;
+
+        const secret = process.env.STORAGE_SIGNING_SECRET;
+        if (!secret) {
+            throw new Error('STORAGE_SIGNING_SECRET must be set to use local storage (it signs download links)');
+        }
+        if (process.env.NODE_ENV === 'production' && secret.startsWith(EXAMPLE_SECRET_PREFIX)) {
+            throw new Error('STORAGE_SIGNING_SECRET must be set to a random value in production (e.g. openssl rand -hex 32)');
+        }
+    }
+
+    /**
+     * Refuse to start when the configured provider cannot work (called at startup)
+     */
+    async assertConfigured() {
+        const config = await this.getConfig();
+        this.checkProvider(config.provider || 'cloudinary');
+    }
+
+    /**
+     * Store a file with the configured backend
+     * @param {string} filePath - Local file path
+     * @param {string} folder - Folder / key prefix
+     * @param {string} name - File name without folder (extension added from filePath if missing)
+     * @returns {Promise<Object>} - { provider, key, url, size }
+     */
+    async upload(filePath, folder, name = null) {
+        const config = await this.getConfig();
+        const provider = config.provider || 'cloudinary';
+        const backend = this.getBackend(provider, config);
+
+        let fileName = name || path.basename(filePath);
+        if (!path.extname(fileName)) fileName += path.extname(filePath);
+
+        // Cloudinary keeps its own folder/public_id scheme
+        const result = provider === 'cloudinary'
+            ? await backend.upload(filePath, folder, name)
+            : await backend.upload(filePath, folder, `${folder}/${fileName}`);
+
+        logger.info(`Stored ${path.basename(filePath)} with ${provider} storage (key: ${result.key})`);
+        return { provider, ...result };
+    }
+
+    /**
+     * Download link for a stored file (signed and expiring for local/S3)
+     * @param {Object} ref - Reference returned by upload()
+     */
+    async getDownloadUrl(ref) {
+        if (ref.provider === 'cloudinary' && ref.url) return ref.url;
+
+        const config = await this.getConfig();
+        const ttl = config.signed_url_ttl_seconds || DEFAULT_URL_TTL_SECONDS;
+        return this.getBackend(ref.provider, config).getDownloadUrl(ref.key, ttl);
+    }
+
+    async delete(ref) {
+        const config = await this.getConfig();
+        await this.getBackend(ref.provider, config).delete(ref.key);
+    }
+
+    /**
+     * Local file path for a signed download link, or null if invalid/expired
+     */
+    verifyLocalDownload({ key, expires, signature }) {
+        return this.getBackend('local').verify(key, expires, signature);
+    }
+}
+
+module.exports = new StorageService();
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Local disk backend
+ * Files are served by GET /api/files/download with an HMAC-signed, expiring link.
+ */
+class LocalBackend {
+    constructor({ rootDir, secret, baseUrl = '' }) {
+        this.rootDir = path.resolve(rootDir);
+        this.secret = secret;
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+    }
+
+    async upload(filePath, folder, key) {
+        const target = this.resolve(key);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.copyFile(filePath, target);
+
+        const stats = await fs.stat(target);
+        return { key, url: null, size: stats.size };
+    }
+
+    async getDownloadUrl(key, ttlSeconds) {
+        const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+        const params = new URLSearchParams({
+            key,
+            expires: String(expires),
+            signature: this.sign(key, expires)
+        });
+        return `${this.baseUrl}/api/files/download?${params.toString()}`;
+    }
+
+    async delete(key) {
+        await fs.rm(this.resolve(key), { force: true });
+    }
+
+    /**
+     * Check a download link, returns the file path or null
+     */
+    verify(key, expires, signature) {
+        if (!key || !expires || !signature) return null;
+        if (parseInt(expires) < Math.floor(Date.now() / 1000)) return null;
+
+        const expected = Buffer.from(this.sign(key, expires));
+        const given = Buffer.from(String(signature));
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+        return this.resolve(key);
+    }
+
+    sign(key, expires) {
+        return crypto.createHmac('sha256', this.secret).update(`${key}:${expires}`).digest('hex');
+    }
+
+    /**
+     * Absolute path of a key, refusing anything outside the storage root
+     */
+    resolve(key) {
+        const target = path.resolve(this.rootDir, key);
+        if (!target.startsWith(this.rootDir + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return target;
+    }
+}
+
+module.exports = LocalBackend;
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * S3-compatible backend (AWS S3, MinIO, ...), downloads use presigned URLs
+ */
+class S3Backend {
+    constructor({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }) {
+        if (!bucket) {
+            throw new Error('S3 storage bucket is not configured');
+        }
+
+        this.bucket = bucket;
+        this.client = new S3Client({
+            region: region || 'us-east-1',
+            endpoint: endpoint || undefined,
+            forcePathStyle: !!forcePathStyle, // MinIO needs path-style URLs
+            credentials: accessKeyId
+                ? { accessKeyId, secretAccessKey }
+                : undefined // Fall back to the default AWS credential chain
+        });
+    }
+
+    async upload(filePath, folder, key) {
+        const { size } = await fs.promises.stat(filePath);
+
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            Body: fs.createReadStream(filePath),
+            ContentLength: size
+        }));
+
+        return { key, url: null, size };
+    }
+
+    async getDownloadUrl(key, ttlSeconds) {
+        return getSignedUrl(this.client, new GetObjectCommand({ Bucket: this.bucket, Key: key }), {
+            expiresIn: ttlSeconds
+        });
+    }
+
+    async delete(key) {
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+    }
+}
+
+module.exports = S3Backend;
@@ -0,0 +1,275 @@
+const mongoose = require('mongoose');
+const Settings = require('../models/Settings');
+const UsageRecord = require('../models/UsageRecord');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const apiKeyPool = require('./apiKeyPool');
+const { estimatePlacesCost } = require('../config/placesPricing');
+
+// Rollup buckets ($dateToString formats)
+const PERIOD_FORMATS = {
+    daily: '%Y-%m-%d',
+    monthly: '%Y-%m'
+};
+
+/**
+ * Places API usage: atomic daily quota plus an append-only ledger
+ * google_places_config.calls_today (and the chosen pool key's counters) is
+ * reserved with a conditional $inc before each call, so concurrent jobs cannot
+ * overshoot daily_limit. Every call is then recorded in UsageRecord with its
+ * job, user, key, tier and estimated cost.
+ */
+class UsageLedgerService {
+    // Quota days follow the server's local date, like the settings page
+    startOfToday() {
+        const now = new Date();
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    }
+
+    currentMonth() {
+        const now = new Date();
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    /**
+     * Zero the day and month counters once they belong to a past period
+     * Conditional updates, so only the first caller of a new day/month matches.
+     * Pipeline updates, as settings saved before the key pool have no api_keys array.
+     */
+    async resetCounters() {
+        const resetKeys = (fields) => ({
+            $map: {
+                input: { $ifNull: ['$google_places_config.api_keys', []] },
+                in: { $mergeObjects: ['$$this', fields] }
+            }
+        });
+
+        await Settings.updateOne(
+            {
+                key: 'global',
+                $or: [
+                    { 'google_places_config.last_reset_date': { $lt: this.startOfToday() } },
+                    { 'google_places_config.last_reset_date': null }
+                ]
+            },
+            [{
+                $set: {
+                    'google_places_config.calls_today': 0,
+                    'google_places_config.last_reset_date': new Date(),
+                    'google_places_config.api_keys': resetKeys({ calls_today: 0 })
+                }
+            }]
+        );
+
+        const month = this.currentMonth();
+        await Settings.updateOne(
+            { key: 'global', 'google_places_config.usage_month': { $ne: month } },
+            [{
+                $set: {
+                    'google_places_config.usage_month': month,
+                    'google_places_config.api_keys': resetKeys({ month_spend_usd: 0 })
+                }
+            }]
+        );
+    }
+
+    /**
+     * Reserve one call against today's daily_limit and a key's own limits
+     * @param {Object} entry - { operation, fields_level } (for the key's monthly budget)
+     * @param {Set<string>} exclude - Key ids already rejected for this call
+     * @returns {Promise<Object|null>} - { calls_today, daily_limit, key, cost }, null when no key has quota left
+     */
+    async reserve(entry, exclude = new Set()) {
+        await this.resetCounters();
+
+        const settings = await Settings.findOne({ key: 'global' });
+        if (!settings || !settings.google_places_config) return null;
+
+        const cost = estimatePlacesCost(1, entry.fields_level, entry.operation);
+        const candidates = apiKeyPool.candidates(settings.google_places_config, cost, exclude);
+
+        for (const key of candidates) {
+            const filter = {
+                key: 'global',
+                $expr: { $lt: ['$google_places_config.calls_today', '$google_places_config.daily_limit'] }
+            };
+            const update = { $inc: { 'google_places_config.calls_today': 1 } };
+
+            if (key.id) {
+                // Re-check the key's limits in the same update, another job may have used them up
+                const match = { _id: key.id, enabled: true };
+                if (key.daily_limit) match.calls_today = { $lt: key.daily_limit };
+                if (key.monthly_budget_usd) match.month_spend_usd = { $lte: key.monthly_budget_usd - cost };
+
+                filter['google_places_config.api_keys'] = { $elemMatch: match };
+                update.$inc['google_places_config.api_keys.$.calls_today'] = 1;
+                update.$inc['google_places_config.api_keys.$.month_spend_usd'] = cost;
+                update.$set = { 'google_places_config.api_keys.$.last_used_at': new Date() };
+            }
+
+            const reserved = await Settings.findOneAndUpdate(filter, update, { new: true });
+            if (reserved) {
+                return {
+                    calls_today: reserved.google_places_config.calls_today,
+                    daily_limit: reserved.google_places_config.daily_limit,
+                    key,
+                    cost
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Give back a reservation whose call failed
+     */
+    async release(quota) {
+        await Settings.updateOne(
+            { key: 'global', 'google_places_config.calls_today': { $gt: 0 } },
+            { $inc: { 'google_places_config.calls_today': -1 } }
+        );
+
+        if (quota.key.id) {
+            await Settings.updateOne(
+                { key: 'global', 'google_places_config.api_keys._id': quota.key.id },
+                {
+                    $inc: {
+                        'google_places_config.api_keys.$.calls_today': -1,
+                        'google_places_config.api_keys.$.month_spend_usd': -quota.cost
+                    }
+                }
+            );
+        }
+    }
+
+    /**
+     * Append a ledger entry (a ledger write failure never fails the call)
+     * @param {Object} entry - { operation, job_id, user, fields_level, target, api_key_id, status, error }
+     */
+    async record(entry) {
+        try {
+            await UsageRecord.create({
+                ...entry,
+                cost_usd: entry.status === 'error' ? 0 : estimatePlacesCost(1, entry.fields_level, entry.operation)
+            });
+        } catch (error) {
+            logger.error(`Failed to record Places usage (${entry.operation}, job ${entry.job_id || '-'}): ${error.message}`);
+        }
+    }
+
+    /**
+     * Reserve quota, make the call with the reserved key and record it
+     * A failed call gives its reservation back (errors are not billed) and is recorded as 'error',
+     * as is every failed attempt the call retries on its own (429/5xx backoff).
+     * When Google rejects the key (403/429) the call is retried with the next pool key.
+     * @param {Object} entry - { operation, job_id, user, fields_level, target }
+     * @param {Function} call - Makes the API request, receives the API key and an onRetry callback
+     * @returns {Promise<Object|null>} - { result, calls_today, daily_limit }, null when the daily limit is reached
+     */
+    async track(entry, call) {
+        const rejected = new Set();
+        let lastKeyError = null;
+
+        for (;;) {
+            const quota = await this.reserve(entry, rejected);
+            if (!quota) {
+                // Every remaining key was rejected by Google: surface that rather than "limit reached"
+                if (lastKeyError) throw lastKeyError;
+                return null;
+            }
+
+            const record = { ...entry, api_key_id: quota.key.id || undefined };
+            try {
+                const onRetry = (error) => this.record({ ...record, status: 'error', error: error.message.substring(0, 300) });
+                const result = await call(quota.key.api_key, onRetry);
+                await this.record({ ...record, status: 'ok' });
+                return { result, calls_today: quota.calls_today, daily_limit: quota.daily_limit };
+            } catch (error) {
+                await this.release(quota);
+                await this.record({ ...record, status: 'error', error: error.message.substring(0, 300) });
+
+                if (!quota.key.id || !apiKeyPool.isKeyError(error)) throw error;
+
+                logger.warn(`Places API key "${quota.key.label}" returned ${error.status}, rotating to the next key`);
+                await apiKeyPool.markUnhealthy(quota.key.id, error);
+                rejected.add(quota.key.id.toString());
+                lastKeyError = error;
+            }
+        }
+    }
+
+    /**
+     * Usage per period, per user and per provider
+     * @param {Object} options
+     * @param {string} options.period - 'daily' | 'monthly'
+     * @param {Date} options.from - Inclusive
+     * @param {Date} options.to - Exclusive
+     * @param {string} options.userId - Only this user's calls
+     * @param {string} options.provider - Only this provider's calls
+     */
+    async rollup({ period = 'daily', from, to, userId = null, provider = null }) {
+        const match = { created_at: { $gte: from, $lt: to } };
+        if (userId) match.user = new mongoose.Types.ObjectId(userId);
+        if (provider) match.provider = provider;
+
+        const bucket = {
+            $dateToString: {
+                format: PERIOD_FORMATS[period],
+                date: '$created_at',
+                timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+            }
+        };
+        const sums = {
+            calls: { $sum: 1 },
+            errors: { $sum: { $cond: [{ $eq: ['$status', 'error'] }, 1, 0] } },
+            cost_usd: { $sum: '$cost_usd' }
+        };
+
+        const [facets] = await UsageRecord.aggregate([
+            { $match: match },
+            {
+                $facet: {
+                    totals: [{ $group: { _id: null, ...sums } }],
+                    by_user: [
+                        { $group: { _id: { period: bucket, user: '$user' }, ...sums } },
+                        { $sort: { '_id.period': 1, cost_usd: -1 } }
+                    ],
+                    by_provider: [
+                        { $group: { _id: { period: bucket, provider: '$provider', operation: '$operation' }, ...sums } },
+                        { $sort: { '_id.period': 1, '_id.provider': 1 } }
+                    ]
+                }
+            }
+        ]);
+
+        const userIds = [...new Set(facets.by_user.map(row => row._id.user).filter(Boolean).map(String))];
+        const users = await User.find({ _id: { $in: userIds } }).select('username');
+        const usernames = new Map(users.map(user => [user._id.toString(), user.username]));
+
+        const round = (value) => Math.round(value * 10000) / 10000;
+        const totals = facets.totals[0] || { calls: 0, errors: 0, cost_usd: 0 };
+
+        return {
+            totals: { calls: totals.calls, errors: totals.errors, cost_usd: round(totals.cost_usd) },
+            by_user: facets.by_user.map(row => ({
+                period: row._id.period,
+                user_id: row._id.user || null,
+                username: row._id.user ? (usernames.get(row._id.user.toString()) || null) : null,
+                calls: row.calls,
+                errors: row.errors,
+                cost_usd: round(row.cost_usd)
+            })),
+            by_provider: facets.by_provider.map(row => ({
+                period: row._id.period,
+                provider: row._id.provider,
+                operation: row._id.operation,
+                calls: row.calls,
+                errors: row.errors,
+                cost_usd: round(row.cost_usd)
+            }))
+        };
+    }
+}
+
+module.exports = new UsageLedgerService();
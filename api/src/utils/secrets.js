@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+// Prefix of values written by encryptSecret (anything else is legacy plaintext)
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+// Secrets shorter than this are fully hidden (4 + 4 visible chars would give most of them away)
+const MIN_LENGTH_FOR_HINT = 16;
+
+/**
+ * Replace a secret field with metadata the UI can show (mutates obj)
+ * e.g. api_key -> api_key_alias "AIza...x9Qk", api_key_length 39, is_set true
+ * @param {Object} obj - Plain object (toObject()) about to be sent
+ * @param {string} field - Secret field name
+ */
+const maskSecret = (obj, field) => {
+    if (!obj || !obj[field]) return obj;
+
+    const value = String(obj[field]);
+    obj[`${field}_alias`] = value.length >= MIN_LENGTH_FOR_HINT
+        ? `${value.substring(0, 4)}...${value.substring(value.length - 4)}`
+        : '****';
+    obj[`${field}_length`] = value.length;
+    obj.is_set = true;
+    delete obj[field];
+    return obj;
+};
+
+/**
+ * Drop the fields maskSecret added from an update payload (mutates obj)
+ */
+const stripMaskFields = (obj, field) => {
+    if (!obj) return obj;
+    delete obj[`${field}_alias`];
+    delete obj[`${field}_length`];
+    delete obj.is_set;
+    return obj;
+};
+
+// Placeholder shipped in the .env examples
+const EXAMPLE_KEY_PREFIX = 'change_me';
+
+/**
+ * Refuse to start in production with a missing or example SETTINGS_ENCRYPTION_KEY
+ * @throws {Error}
+ */
+const assertEncryptionKey = () => {
+    if (process.env.NODE_ENV !== 'production') return;
+    const key = process.env.SETTINGS_ENCRYPTION_KEY;
+    if (!key || key.startsWith(EXAMPLE_KEY_PREFIX)) {
+        throw new Error('SETTINGS_ENCRYPTION_KEY must be set to a random value in production (e.g. openssl rand -hex 32)');
+    }
+};
+
+// AES-256 key from SETTINGS_ENCRYPTION_KEY (any length, hashed)
+const encryptionKey = () => {
+    if (!process.env.SETTINGS_ENCRYPTION_KEY) {
+        throw new Error('SETTINGS_ENCRYPTION_KEY is not set, secrets cannot be encrypted');
+    }
+    return crypto.createHash('sha256').update(process.env.SETTINGS_ENCRYPTION_KEY).digest();
+};
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM)
+ * @returns {string} - "enc:v1:<iv>:<tag>:<ciphertext>", base64 parts
+ */
+const encryptSecret = (value) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    return `${ENCRYPTED_PREFIX}${[iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':')}`;
+};
+
+/**
+ * Whether a stored value was written by encryptSecret
+ */
+const isEncrypted = (value) => Boolean(value) && String(value).startsWith(ENCRYPTED_PREFIX);
+
+/**
+ * Decrypt a value from encryptSecret, plaintext is returned as is
+ */
+const decryptSecret = (value) => {
+    if (!isEncrypted(value)) return value;
+
+    const [iv, tag, encrypted] = String(value).substring(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    } catch (error) {
+        throw new Error(`Stored secret cannot be decrypted (was SETTINGS_ENCRYPTION_KEY changed?): ${error.message}`);
+    }
+};
+
+module.exports = {
+    maskSecret,
+    stripMaskFields,
+    assertEncryptionKey,
+    encryptSecret,
+    isEncrypted,
+    decryptSecret
+};
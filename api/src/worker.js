@@ -0,0 +1,35 @@
+require('dotenv').config();
+
+const connectDB = require('./config/database');
+const logger = require('./utils/logger');
+const jobQueue = require('./services/jobQueue');
+const { assertEncryptionKey } = require('./utils/secrets');
+const storage = require('./services/storage');
+
+// Dedicated queue worker: processes scrape jobs without serving the API.
+// Run as many of these as needed, they share the Redis queue.
+
+async function startWorker() {
+    try {
+        assertEncryptionKey();
+        await connectDB();
+        await storage.assertConfigured();
+        await jobQueue.init({ runWorker: true });
+        logger.info(`Queue worker started (pid ${process.pid})`);
+    } catch (error) {
+        logger.error('Failed to start worker:', error);
+        process.exit(1);
+    }
+}
+
+// Graceful shutdown (running jobs are picked up again as stalled by another worker)
+const shutdown = async (signal) => {
+    logger.info(`${signal} received, stopping worker`);
+    await jobQueue.close();
+    process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+startWorker();
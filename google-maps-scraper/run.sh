@@ -16,27 +16,26 @@ ZOOM=${ZOOM:-15}
 echo "Starting Google Maps scraper..."
 echo "Reading queries from $QUERIES_FILE"
 
-CMD="google-maps-scraper -input \"$QUERIES_FILE\" -results \"$OUTPUT_FILE\" -json -depth \"$DEPTH\" -exit-on-inactivity \"$INACTIVITY_TIMEOUT\" -c \"$CONCURRENCY\" -lang \"$LANG_CODE\" -zoom \"$ZOOM\""
+# One array element per argument: values are never parsed by the shell
+args=(-input "$QUERIES_FILE" -results "$OUTPUT_FILE" -json -depth "$DEPTH" -exit-on-inactivity "$INACTIVITY_TIMEOUT" -c "$CONCURRENCY" -lang "$LANG_CODE" -zoom "$ZOOM")
 
 if [ -n "$PROXIES" ]; then
-    CMD="$CMD -proxies \"$PROXIES\""
+    args+=(-proxies "$PROXIES")
     echo "Using Proxies: Yes"
 fi
 
 if [ -n "$GEO" ]; then
-    CMD="$CMD -geo \"$GEO\""
+    args+=(-geo "$GEO")
 fi
 
 # Debug means "Headful" (Visible Browser). Default is Headless (Debug=false).
 if [ "$DEBUG_MODE" = "true" ] || [ "$DEBUG_MODE" = "1" ]; then
-    CMD="$CMD -debug"
+    args+=(-debug)
     echo "Headless Mode: Disabled (Debug On)"
 fi
 
 echo "Detailed Command constructed."
+echo "Results will be written to $OUTPUT_FILE"
 
-# Run the scraper
-eval $CMD
-
-echo "SCRAPE_DONE"
-echo "Results written to $OUTPUT_FILE"
+# Run the scraper (exec: the container exits with the scraper's code)
+exec google-maps-scraper "${args[@]}"